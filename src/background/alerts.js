@@ -0,0 +1,239 @@
+// Live Highlighter - Alert Notifications (service worker only)
+
+/**
+ * Groups flagged as alert groups raise a notification when their words newly appear on an open
+ * page. Content scripts compare match counts after each batch of page changes and send:
+ *
+ *   {
+ *     type: 'ALERT_MATCHES',
+ *     alertId: number,      // Identifies the newest match in the frame (see SHOW_ALERT_MATCH)
+ *     title: string,        // The frame's document title
+ *     matches: [{ word, groupName, added }]  // Highest-priority group first
+ *   }
+ *
+ * Each tab notifies at most once per ALERT_TAB_INTERVAL_MS, and not at all during quiet hours.
+ * Clicking the notification focuses the tab and asks the frame to show the match.
+ */
+
+// Extend LiveHighlighter namespace with alert functions
+LiveHighlighter.Alerts = (function ()
+{
+  'use strict';
+
+  const { Storage, FrameNavigation, ALERT_TAB_INTERVAL_MS, TIME_PATTERN } = LiveHighlighter;
+
+  // Notification IDs: lh-alert:<tabId>:<frameId>:<alertId>
+  const NOTIFICATION_PREFIX = 'lh-alert';
+
+  // When each tab last raised a notification: { tabId: ms }
+  // Kept in session storage so the rate limit survives the service worker being stopped
+  const SESSION_KEY = 'alertTimes';
+  let sessionUpdate = Promise.resolve();
+
+  // ============================================================================
+  // Quiet Hours and Rate Limiting
+  // ============================================================================
+
+  /**
+   * Convert an HH:MM time to minutes after midnight
+   * @param {string} time - 24-hour time
+   * @returns {number} Minutes, or -1 if the time is invalid
+   */
+  function toMinutes(time)
+  {
+    if (typeof time !== 'string' || !TIME_PATTERN.test(time)) return -1;
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check whether a time falls within the quiet hours
+   * The start is included and the end isn't; an end before the start runs past midnight
+   * @param {{enabled: boolean, start: string, end: string}} quietHours - From Storage.getQuietHours
+   * @param {Date} [date] - Time to check (defaults to now)
+   * @returns {boolean}
+   */
+  function isQuietTime(quietHours, date = new Date())
+  {
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (!quietHours.enabled || start < 0 || end < 0 || start === end) return false;
+
+    const now = date.getHours() * 60 + date.getMinutes();
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  /**
+   * Record a notification for a tab unless it notified too recently
+   * Checks are chained so alerts from several frames at once don't both get through
+   * @param {number} tabId - Tab ID
+   * @param {number} [now] - Current time (ms)
+   * @returns {Promise<boolean>} True if the tab may notify
+   */
+  function claimTabSlot(tabId, now = Date.now())
+  {
+    const claim = sessionUpdate.then(async () =>
+    {
+      const { [SESSION_KEY]: times = {} } = await chrome.storage.session.get(SESSION_KEY);
+      if (times[tabId] !== undefined && now - times[tabId] < ALERT_TAB_INTERVAL_MS) {
+        return false;
+      }
+
+      times[tabId] = now;
+      await chrome.storage.session.set({ [SESSION_KEY]: times });
+      return true;
+    });
+
+    sessionUpdate = claim.catch(() => {});
+    return claim;
+  }
+
+  /**
+   * Forget a closed tab's last notification time
+   * @param {number} tabId - Tab ID
+   */
+  function forgetTab(tabId)
+  {
+    sessionUpdate = sessionUpdate.then(async () =>
+    {
+      const { [SESSION_KEY]: times = {} } = await chrome.storage.session.get(SESSION_KEY);
+      if (times[tabId] !== undefined) {
+        delete times[tabId];
+        await chrome.storage.session.set({ [SESSION_KEY]: times });
+      }
+    }).catch(error =>
+    {
+      console.debug('Live Highlighter: Failed to forget alert tab', error);
+    });
+  }
+
+  // ============================================================================
+  // Notifications
+  // ============================================================================
+
+  /**
+   * Build the ID of an alert notification
+   * @param {number} tabId - Tab ID
+   * @param {number} frameId - Frame that found the match
+   * @param {number} alertId - Match ID within the frame
+   * @returns {string}
+   */
+  function getNotificationId(tabId, frameId, alertId)
+  {
+    return `${NOTIFICATION_PREFIX}:${tabId}:${frameId}:${alertId}`;
+  }
+
+  /**
+   * Read an alert notification ID
+   * @param {string} notificationId - Notification ID
+   * @returns {{tabId: number, frameId: number, alertId: number}|null} null for other notifications
+   */
+  function parseNotificationId(notificationId)
+  {
+    const parts = String(notificationId).split(':');
+    if (parts.length !== 4 || parts[0] !== NOTIFICATION_PREFIX) return null;
+
+    const [tabId, frameId, alertId] = parts.slice(1).map(Number);
+    if (![tabId, frameId, alertId].every(Number.isInteger)) return null;
+    return { tabId, frameId, alertId };
+  }
+
+  /**
+   * Check whether a notification is an alert notification
+   * @param {string} notificationId - Notification ID
+   * @returns {boolean}
+   */
+  function isAlertNotification(notificationId)
+  {
+    return parseNotificationId(notificationId) !== null;
+  }
+
+  /**
+   * Raise a notification for new matches of alert groups, unless it's quiet hours or the tab
+   * notified recently
+   * @param {object} tab - Tab the matches were found in (from the message sender)
+   * @param {number} frameId - Frame that found them
+   * @param {object} alert - The ALERT_MATCHES message
+   * @returns {Promise<boolean>} True if a notification was shown
+   */
+  async function notifyMatches(tab, frameId, alert)
+  {
+    try {
+      if (!Array.isArray(alert.matches) || alert.matches.length === 0) return false;
+
+      if (isQuietTime(await Storage.getQuietHours())) {
+        console.log('Live Highlighter: Alert skipped during quiet hours');
+        return false;
+      }
+
+      if (!await claimTabSlot(tab.id)) {
+        console.log('Live Highlighter: Alert skipped, tab notified recently', tab.id);
+        return false;
+      }
+
+      // Tab titles need the tabs permission; the frame's own title is the fallback
+      const pageTitle = tab.title || alert.title || tab.url || '';
+      const [first, ...others] = alert.matches;
+
+      await chrome.notifications.create(getNotificationId(tab.id, frameId, alert.alertId), {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: chrome.i18n.getMessage('alertNotificationTitle', [first.word]),
+        message: chrome.i18n.getMessage('alertNotificationMessage', [first.groupName, pageTitle]),
+        contextMessage: others.length > 0
+          ? chrome.i18n.getMessage('alertNotificationMore', [String(others.length)])
+          : ''
+      });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Failed to show alert notification', error);
+      return false;
+    }
+  }
+
+  /**
+   * Focus the tab an alert notification came from and show the new match
+   * @param {string} notificationId - Clicked notification
+   * @returns {Promise<boolean>} True if the match was shown (false if the tab or match has gone)
+   */
+  async function openNotification(notificationId)
+  {
+    const target = parseNotificationId(notificationId);
+    if (!target) return false;
+
+    chrome.notifications.clear(notificationId).catch(() => {});
+
+    try {
+      const tab = await chrome.tabs.update(target.tabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+      console.log('Live Highlighter: Alert tab has closed', target.tabId);
+      return false;
+    }
+
+    const response = await FrameNavigation.showInFrame(target.tabId, target.frameId,
+      { type: 'SHOW_ALERT_MATCH', alertId: target.alertId });
+    return !!(response && response.found);
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    notifyMatches,
+    openNotification,
+    isAlertNotification,
+    forgetTab,
+
+    // Exposed for tests
+    isQuietTime,
+    claimTabSlot,
+    getNotificationId,
+    parseNotificationId
+  };
+})();
+
+console.log('Live Highlighter: Alerts module loaded');
@@ -0,0 +1,330 @@
+// Live Highlighter - Cross-frame Highlight Navigation (service worker only)
+
+/**
+ * Each frame's content script navigates its own highlights (including same-origin about:blank
+ * iframes it highlights itself). This module joins them into one sequence per tab, so the popup,
+ * the in-page navigator and the keyboard shortcuts step through every frame in page order.
+ *
+ * Every frame answers GET_FRAME_NAVIGATION with its local state:
+ *
+ *   {
+ *     index: number,        // 1-based position of its active highlight, 0 if none
+ *     total: number,        // Navigable highlights in the frame
+ *     text: string,         // Text of the active highlight
+ *     navigatedAt: number,  // When the frame last moved its active highlight (ms), 0 if never
+ *     frames: [{ frameId, before }],  // Child frames in document order, and how many of the
+ *                                     // frame's own highlights come before each one
+ *     groupCounts: { groupId: number },              // Highlights per group
+ *     wordCounts: { groupId: { word: number } },     // Highlights per word (or regex) of each group
+ *     restriction: { groupId, word } | null          // Group or word navigation is restricted to
+ *   }
+ *
+ * Frames are walked from the top frame (frameId 0) down. Child frames are placed at their
+ * position in the parent document, so a parent's highlights after an iframe come after the
+ * iframe's highlights. Frames without a content script simply aren't found.
+ */
+
+// Extend LiveHighlighter namespace with frame navigation functions
+LiveHighlighter.FrameNavigation = (function ()
+{
+  'use strict';
+
+  // ============================================================================
+  // Ordering (pure functions)
+  // ============================================================================
+
+  /**
+   * Flatten frame states into segments of consecutive highlights in page order
+   * @param {Map<number, object>} states - Frame state by frameId
+   * @param {number} [rootFrameId=0] - Frame to start from
+   * @returns {Array<{frameId: number, start: number, count: number}>} Segments; start is 0-based within the frame
+   */
+  function buildSequence(states, rootFrameId = 0)
+  {
+    const segments = [];
+    const visited = new Set();
+
+    const addFrame = (frameId) =>
+    {
+      const state = states.get(frameId);
+      if (!state || visited.has(frameId)) return;
+      visited.add(frameId);
+
+      let position = 0;
+      state.frames.forEach(child =>
+      {
+        const before = Math.min(Math.max(child.before, position), state.total);
+        if (before > position) {
+          segments.push({ frameId, start: position, count: before - position });
+          position = before;
+        }
+        addFrame(child.frameId);
+      });
+
+      if (state.total > position) {
+        segments.push({ frameId, start: position, count: state.total - position });
+      }
+    };
+
+    addFrame(rootFrameId);
+    return segments;
+  }
+
+  /**
+   * Convert a frame's local position to a position in the whole sequence
+   * @param {Array} segments - From buildSequence
+   * @param {number} frameId - Frame ID
+   * @param {number} localIndex - 0-based position within the frame
+   * @returns {number} 0-based global position, or -1 if not found
+   */
+  function toGlobalIndex(segments, frameId, localIndex)
+  {
+    let offset = 0;
+    for (const segment of segments) {
+      if (segment.frameId === frameId &&
+          localIndex >= segment.start && localIndex < segment.start + segment.count) {
+        return offset + localIndex - segment.start;
+      }
+      offset += segment.count;
+    }
+    return -1;
+  }
+
+  /**
+   * Convert a position in the whole sequence to a frame and its local position
+   * @param {Array} segments - From buildSequence
+   * @param {number} globalIndex - 0-based global position
+   * @returns {{frameId: number, localIndex: number}|null}
+   */
+  function fromGlobalIndex(segments, globalIndex)
+  {
+    let offset = 0;
+    for (const segment of segments) {
+      if (globalIndex < offset + segment.count) {
+        return { frameId: segment.frameId, localIndex: segment.start + globalIndex - offset };
+      }
+      offset += segment.count;
+    }
+    return null;
+  }
+
+  /**
+   * Find the frame holding the tab's active highlight (the one navigated most recently)
+   * @param {Map<number, object>} states - Frame state by frameId
+   * @returns {number|null} Frame ID, or null when nothing is active
+   */
+  function findCurrentFrame(states)
+  {
+    let current = null;
+    let latest = -1;
+    states.forEach((state, frameId) =>
+    {
+      if (state.index > 0 && state.navigatedAt > latest) {
+        current = frameId;
+        latest = state.navigatedAt;
+      }
+    });
+    return current;
+  }
+
+  /**
+   * Add one frame's highlight counts to a running total
+   * @param {object} target - Key to count, updated in place
+   * @param {object} counts - Key to count
+   */
+  function addCounts(target, counts)
+  {
+    Object.entries(counts || {}).forEach(([key, count]) =>
+    {
+      target[key] = (target[key] || 0) + count;
+    });
+  }
+
+  /**
+   * Combine frame states into the tab's navigation state
+   * @param {Map<number, object>} states - Frame state by frameId
+   * @returns {{index: number, total: number, text: string, groupCounts: object, wordCounts: object,
+   *   restriction: object|null, segments: Array}} index is 1-based, 0 when nothing is active
+   */
+  function combineStates(states)
+  {
+    const segments = buildSequence(states);
+    const total = segments.reduce((sum, segment) => sum + segment.count, 0);
+
+    const groupCounts = {};
+    const wordCounts = {};
+    states.forEach(state =>
+    {
+      addCounts(groupCounts, state.groupCounts);
+      Object.entries(state.wordCounts || {}).forEach(([groupId, counts]) =>
+      {
+        wordCounts[groupId] = wordCounts[groupId] || {};
+        addCounts(wordCounts[groupId], counts);
+      });
+    });
+
+    // Every frame gets the same restriction, so the top frame's stands for the tab
+    const root = states.get(0);
+
+    const currentFrameId = findCurrentFrame(states);
+    const current = currentFrameId === null ? null : states.get(currentFrameId);
+    const globalIndex = current ? toGlobalIndex(segments, currentFrameId, current.index - 1) : -1;
+
+    return {
+      index: globalIndex + 1,
+      total,
+      text: globalIndex >= 0 ? current.text : '',
+      groupCounts,
+      wordCounts,
+      restriction: (root && root.restriction) || null,
+      segments,
+      currentFrameId: globalIndex >= 0 ? currentFrameId : null
+    };
+  }
+
+  // ============================================================================
+  // Frame Messaging
+  // ============================================================================
+
+  /**
+   * Send a message to one frame of a tab
+   * @param {number} tabId - Tab ID
+   * @param {number} frameId - Frame ID
+   * @param {object} message - Message
+   * @returns {Promise<object|null>} Response, or null if the frame has no content script
+   */
+  async function sendToFrame(tabId, frameId, message)
+  {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message, { frameId });
+      return response && response.success ? response : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ask every reachable frame of a tab for its navigation state, one level of frames at a time
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Map<number, object>>} Frame state by frameId
+   */
+  async function collectFrameStates(tabId)
+  {
+    const states = new Map();
+    let level = [0];
+
+    while (level.length > 0) {
+      const responses = await Promise.all(level.map(frameId =>
+        sendToFrame(tabId, frameId, { type: 'GET_FRAME_NAVIGATION' })));
+
+      const next = [];
+      responses.forEach((state, i) =>
+      {
+        if (!state) return;
+        states.set(level[i], state);
+        state.frames.forEach(child =>
+        {
+          if (!states.has(child.frameId)) {
+            next.push(child.frameId);
+          }
+        });
+      });
+      level = next;
+    }
+
+    return states;
+  }
+
+  // ============================================================================
+  // Tab Navigation
+  // ============================================================================
+
+  /**
+   * Get the navigation state across all frames of a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<object>} { index, total, text, groupCounts, wordCounts, restriction }
+   */
+  async function getTabState(tabId)
+  {
+    const { index, total, text, groupCounts, wordCounts, restriction } = combineStates(await collectFrameStates(tabId));
+    return { index, total, text, groupCounts, wordCounts, restriction };
+  }
+
+  /**
+   * Move to the next or previous highlight across all frames of a tab
+   * The target frame shows its highlight; any other frame with an active highlight clears it
+   * @param {number} tabId - Tab ID
+   * @param {'next'|'prev'} direction
+   * @returns {Promise<object>} { index, total, text, groupCounts, wordCounts, restriction }
+   */
+  async function navigateTab(tabId, direction)
+  {
+    const states = await collectFrameStates(tabId);
+    const combined = combineStates(states);
+    const { total, groupCounts, wordCounts, restriction, segments } = combined;
+
+    if (total === 0) {
+      return { index: 0, total: 0, text: '', groupCounts, wordCounts, restriction };
+    }
+
+    const current = combined.index - 1;
+    const target = direction === 'next'
+      ? (current + 1) % total
+      : (current < 0 ? total - 1 : (current - 1 + total) % total);
+    const { frameId, localIndex } = fromGlobalIndex(segments, target);
+
+    const response = await sendToFrame(tabId, frameId, { type: 'NAVIGATE_FRAME', index: localIndex + 1 });
+
+    await Promise.all([...states.entries()]
+      .filter(([otherId, state]) => otherId !== frameId && state.index > 0)
+      .map(([otherId]) => sendToFrame(tabId, otherId, { type: 'CLEAR_FRAME_NAVIGATION' })));
+
+    return {
+      index: response ? target + 1 : 0,
+      total,
+      text: response ? response.text : '',
+      groupCounts,
+      wordCounts,
+      restriction
+    };
+  }
+
+  /**
+   * Show a specific highlight in one frame of a tab (e.g. the match an alert notification points to)
+   * Any other frame with an active highlight clears it
+   * @param {number} tabId - Tab ID
+   * @param {number} frameId - Frame ID
+   * @param {object} message - Message the frame answers by showing the highlight, with found: boolean
+   * @returns {Promise<object|null>} The frame's response, or null if it has no content script
+   */
+  async function showInFrame(tabId, frameId, message)
+  {
+    const response = await sendToFrame(tabId, frameId, message);
+    if (!response || !response.found) return response;
+
+    const states = await collectFrameStates(tabId);
+    await Promise.all([...states.entries()]
+      .filter(([otherId, state]) => otherId !== frameId && state.index > 0)
+      .map(([otherId]) => sendToFrame(tabId, otherId, { type: 'CLEAR_FRAME_NAVIGATION' })));
+
+    return response;
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    getTabState,
+    navigateTab,
+    showInFrame,
+
+    // Exposed for tests
+    buildSequence,
+    toGlobalIndex,
+    fromGlobalIndex,
+    combineStates
+  };
+})();
+
+console.log('Live Highlighter: Frame navigation module loaded');
@@ -0,0 +1,249 @@
+// Live Highlighter - Storage Schema Migrations (service worker only)
+
+/**
+ * Each step upgrades the stored data to its version. Steps run in order, starting after the
+ * stored version, on a copy of the data:
+ *
+ *   { version: 3, description: '...', migrate(data) { ...; return data; } }
+ *
+ * data is everything in chrome.storage.local (apart from the migration backup). A step may
+ * change, add or delete keys. To change the schema: add a step with the next version and bump
+ * DEFAULT_SETTINGS.version in constants.js.
+ *
+ * Before migrating, the current data is saved under STORAGE_KEYS.MIGRATION_BACKUP. If a step
+ * throws or the result fails validation, storage is restored from that snapshot.
+ *
+ * Undo history entries hold groups in the old schema, so they are cleared by every migration.
+ */
+
+// Extend LiveHighlighter namespace with migration functions
+LiveHighlighter.Migrations = (function ()
+{
+  'use strict';
+
+  const {
+    Storage,
+    STORAGE_KEYS,
+    DEFAULT_SETTINGS,
+    DEFAULT_PROFILE,
+    PRESET_COLOURS
+  } = LiveHighlighter;
+
+  // ============================================================================
+  // Migration Steps
+  // ============================================================================
+
+  const MIGRATIONS = [
+    {
+      version: 3,
+      description: 'Fill in match options, page scope and text colour on every group',
+      migrate(data)
+      {
+        data[STORAGE_KEYS.GROUPS] = (data[STORAGE_KEYS.GROUPS] || []).map(group =>
+        {
+          const preset = PRESET_COLOURS.find(p => p.hex.toUpperCase() === String(group.colour).toUpperCase());
+          const textColor = Storage.isValidColour(group.textColor)
+            ? group.textColor
+            : (preset ? preset.textColor : LiveHighlighter.getReadableTextColor(group.colour));
+
+          return {
+            ...group,
+            textColor,
+            matchWholeWord: group.matchWholeWord === true,
+            caseSensitive: group.caseSensitive === true,
+            useRegex: group.useRegex === true,
+            matchAcrossElements: group.matchAcrossElements === true,
+            includeUrls: Array.isArray(group.includeUrls) ? group.includeUrls : [],
+            excludeUrls: Array.isArray(group.excludeUrls) ? group.excludeUrls : []
+          };
+        });
+        return data;
+      }
+    },
+    {
+      version: 4,
+      description: 'Move every group into a default profile',
+      migrate(data)
+      {
+        data[STORAGE_KEYS.PROFILES] = [{ ...DEFAULT_PROFILE, urlPatterns: [] }];
+        data[STORAGE_KEYS.ACTIVE_PROFILE] = DEFAULT_PROFILE.id;
+        data[STORAGE_KEYS.GROUPS] = (data[STORAGE_KEYS.GROUPS] || []).map(group =>
+          ({ ...group, profileId: DEFAULT_PROFILE.id }));
+        return data;
+      }
+    },
+    {
+      version: 5,
+      description: 'Add the alert flag to every group',
+      migrate(data)
+      {
+        data[STORAGE_KEYS.GROUPS] = (data[STORAGE_KEYS.GROUPS] || []).map(group =>
+          ({ ...group, alert: group.alert === true }));
+        return data;
+      }
+    },
+    {
+      version: 6,
+      description: 'Add the ignore accents option to every group',
+      migrate(data)
+      {
+        data[STORAGE_KEYS.GROUPS] = (data[STORAGE_KEYS.GROUPS] || []).map(group =>
+          ({ ...group, ignoreAccents: group.ignoreAccents === true }));
+        return data;
+      }
+    },
+    {
+      version: 7,
+      description: 'Escape slashes in regex words that would now be read as /pattern/flags',
+      migrate(data)
+      {
+        data[STORAGE_KEYS.GROUPS] = (data[STORAGE_KEYS.GROUPS] || []).map(group =>
+          (group.useRegex === true ? { ...group, words: group.words.map(Storage.escapeRegexLiteral) } : group));
+        return data;
+      }
+    }
+  ];
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * Check migrated data against the rules saveGroups enforces
+   * @param {object} data - Migrated storage data
+   * @returns {boolean}
+   */
+  function isValidData(data)
+  {
+    const groups = data[STORAGE_KEYS.GROUPS];
+    const profiles = data[STORAGE_KEYS.PROFILES];
+
+    if (profiles !== undefined && !Storage.isValidProfileArray(profiles)) return false;
+    if (groups === undefined) return true;
+
+    return Array.isArray(groups) &&
+           groups.every(Storage.isValidGroup) &&
+           Storage.isWithinGroupLimits(groups);
+  }
+
+  /**
+   * Replace the whole of local storage (except the backup) with a snapshot
+   * @param {object} current - Data currently in storage
+   * @param {object} next - Data to write
+   */
+  async function replaceStorage(current, next)
+  {
+    const removedKeys = Object.keys(current).filter(key =>
+      key !== STORAGE_KEYS.MIGRATION_BACKUP && !(key in next));
+
+    await chrome.storage.local.set(next);
+    if (removedKeys.length > 0) {
+      await chrome.storage.local.remove(removedKeys);
+    }
+  }
+
+  // ============================================================================
+  // Public Functions
+  // ============================================================================
+
+  /**
+   * Get the migration steps that would run for a stored version
+   * @param {number} fromVersion - Stored schema version
+   * @returns {Array} Steps in the order they run
+   */
+  function getPendingMigrations(fromVersion)
+  {
+    return MIGRATIONS
+      .filter(step => step.version > fromVersion && step.version <= DEFAULT_SETTINGS.version)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Migrate stored data to the current schema version
+   * @returns {Promise<{migrated: boolean, fromVersion?: number, toVersion?: number, error?: string}>}
+   */
+  async function runMigrations()
+  {
+    let snapshot;
+    try {
+      const stored = await chrome.storage.local.get(null);
+      const fromVersion = stored[STORAGE_KEYS.VERSION];
+
+      // Fresh installs are initialised at the current version
+      if (typeof fromVersion !== 'number') {
+        return { migrated: false };
+      }
+
+      if (fromVersion > DEFAULT_SETTINGS.version) {
+        console.warn(`Live Highlighter: Stored schema v${fromVersion} is newer than v${DEFAULT_SETTINGS.version} - leaving it untouched`);
+        return { migrated: false };
+      }
+
+      const pending = getPendingMigrations(fromVersion);
+      if (pending.length === 0) {
+        if (fromVersion < DEFAULT_SETTINGS.version) {
+          await chrome.storage.local.set({ [STORAGE_KEYS.VERSION]: DEFAULT_SETTINGS.version });
+        }
+        return { migrated: false };
+      }
+
+      delete stored[STORAGE_KEYS.MIGRATION_BACKUP];
+      snapshot = stored;
+
+      // Back up first so a failed (or buggy) migration can always be undone
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.MIGRATION_BACKUP]: {
+          fromVersion,
+          createdAt: Date.now(),
+          data: snapshot
+        }
+      });
+
+      let data = JSON.parse(JSON.stringify(snapshot));
+      for (const step of pending) {
+        console.log(`Live Highlighter: Migrating storage to v${step.version} - ${step.description}`);
+        data = step.migrate(data) || data;
+        data[STORAGE_KEYS.VERSION] = step.version;
+      }
+      data[STORAGE_KEYS.VERSION] = DEFAULT_SETTINGS.version;
+      delete data[STORAGE_KEYS.GROUP_HISTORY];
+      Object.keys(data)
+        .filter(key => key.startsWith(STORAGE_KEYS.HISTORY_ENTRY_PREFIX))
+        .forEach(key => delete data[key]);
+
+      if (!isValidData(data)) {
+        throw new Error('Migrated data failed validation');
+      }
+
+      await replaceStorage(snapshot, data);
+
+      console.log(`Live Highlighter: Storage migrated from v${fromVersion} to v${DEFAULT_SETTINGS.version}`);
+      return { migrated: true, fromVersion, toVersion: DEFAULT_SETTINGS.version };
+    } catch (error) {
+      console.error('Live Highlighter: Migration failed', error);
+
+      if (snapshot) {
+        try {
+          const current = await chrome.storage.local.get(null);
+          await replaceStorage(current, snapshot);
+          console.warn('Live Highlighter: Storage rolled back to the pre-migration backup');
+        } catch (rollbackError) {
+          console.error('Live Highlighter: Rollback failed - data is still in the migration backup', rollbackError);
+        }
+      }
+
+      return { migrated: false, error: error.message };
+    }
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    runMigrations,
+    getPendingMigrations
+  };
+})();
+
+console.log('Live Highlighter: Migrations module loaded');
@@ -1,12 +1,14 @@
 // Live Highlighter - Service Worker (MV3)
 
 // Import shared modules
-importScripts('../shared/constants.js', '../shared/storage.js');
+importScripts('../shared/constants.js', '../shared/url-patterns.js', '../shared/matcher.js', '../shared/storage.js',
+  '../shared/sync.js', 'migrations.js', 'frame-navigation.js', 'alerts.js');
 
 console.log('Live Highlighter: Service worker started');
 
 // Destructure for convenience
-const { Storage, STORAGE_KEYS } = LiveHighlighter;
+const { Storage, Sync, Migrations, FrameNavigation, Alerts, STORAGE_KEYS, SYNC_DEBOUNCE_MS, PRESET_COLOURS, MAX_GROUPS, MAX_WORDS_PER_GROUP,
+  BADGE_COLOUR } = LiveHighlighter;
 
 // ============================================================================
 // Installation and Update Events
@@ -32,10 +34,22 @@ chrome.runtime.onInstalled.addListener(async (details) =>
     const currentVersion = chrome.runtime.getManifest().version;
     console.log(`Live Highlighter: Updated from ${previousVersion} to ${currentVersion}`);
 
-    // Handle any migration logic here if needed in future versions
-    // For now, just ensure storage is initialized
+    // Bring stored data up to the current schema (backed up and rolled back on failure)
     await Storage.initializeStorage();
+    await Migrations.runMigrations();
   }
+
+  rebuildContextMenu();
+  scheduleSync();
+});
+
+/**
+ * Pick up changes synced from other devices while the browser was closed
+ */
+chrome.runtime.onStartup.addListener(() =>
+{
+  rebuildContextMenu();
+  scheduleSync();
 });
 
 // ============================================================================
@@ -93,6 +107,88 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) =>
       });
       return true;
 
+    case 'GET_TAB_URL':
+      // Frames need the top-level URL to apply per-site settings
+      sendResponse({ success: true, url: sender.tab ? sender.tab.url : null });
+      break;
+
+    case 'GET_TAB_NAVIGATION_STATE':
+    case 'NAVIGATE_TAB': {
+      // Highlight navigation across every frame of a tab (popup passes tabId, content scripts use their own tab)
+      const tabId = message.tabId !== undefined ? message.tabId : (sender.tab && sender.tab.id);
+      const request = message.type === 'NAVIGATE_TAB'
+        ? FrameNavigation.navigateTab(tabId, message.direction)
+        : FrameNavigation.getTabState(tabId);
+
+      request.then(state =>
+      {
+        sendResponse({ success: true, ...state });
+        if (message.type === 'NAVIGATE_TAB' && !(sender.tab && sender.frameId === 0)) {
+          notifyNavigationChanged(tabId);
+        }
+      }).catch(error =>
+      {
+        console.error('Live Highlighter: Failed to navigate highlights', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+    }
+
+    case 'SET_NAVIGATION_FILTER':
+      // The in-page navigator's group filter applies to every frame of the tab
+      if (sender.tab) {
+        chrome.tabs.sendMessage(sender.tab.id, message).catch(() =>
+        {
+          // Tab closed or navigating
+        });
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'SET_NAVIGATION_RESTRICTION':
+      // The popup restricts Prev/Next to one group or word, in every frame of the tab
+      chrome.tabs.sendMessage(message.tabId, message).catch(() =>
+      {
+        // Tab closed or has no content script
+      }).then(() =>
+      {
+        sendResponse({ success: true });
+        notifyNavigationChanged(message.tabId);
+      });
+      return true;
+
+    case 'HIGHLIGHT_COUNT_CHANGED':
+      // A frame's highlight count changed - update the tab's toolbar badge
+      if (sender.tab) {
+        const report = { count: message.count, group: message.group || null };
+        updateBadgeFrames(sender.tab.id, frames =>
+        {
+          if (report.count > 0) {
+            frames[sender.frameId] = report;
+          } else {
+            delete frames[sender.frameId];
+          }
+        });
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'ALERT_MATCHES':
+      // Words of alert groups newly appeared in a frame
+      if (sender.tab) {
+        Alerts.notifyMatches(sender.tab, sender.frameId, message);
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'FRAME_HIGHLIGHTS_CHANGED':
+      // A frame's highlights changed while the navigator is open in the top frame
+      if (sender.tab) {
+        notifyNavigationChanged(sender.tab.id);
+      }
+      sendResponse({ success: true });
+      break;
+
     default:
       console.warn('Live Highlighter: Unknown message type', message.type);
       sendResponse({ success: false, error: 'Unknown message type' });
@@ -125,6 +221,384 @@ async function notifyAllTabs(message)
   }
 }
 
+/**
+ * Tell the tab's top frame that navigation changed, so an open in-page navigator refreshes
+ * @param {number} tabId - Tab ID
+ */
+function notifyNavigationChanged(tabId)
+{
+  chrome.tabs.sendMessage(tabId, { type: 'TAB_NAVIGATION_CHANGED' }, { frameId: 0 }).catch(() =>
+  {
+    // No content script on this page
+  });
+}
+
+// ============================================================================
+// Keyboard Shortcuts
+// ============================================================================
+
+/**
+ * Handle keyboard shortcuts (chrome.commands, rebindable at chrome://extensions/shortcuts)
+ * Navigation steps through every frame of the tab, like the popup's Prev/Next buttons
+ */
+chrome.commands.onCommand.addListener(async (command, tab) =>
+{
+  try {
+    switch (command) {
+      case 'next-highlight':
+      case 'prev-highlight':
+        if (!tab || !tab.id) return;
+        await FrameNavigation.navigateTab(tab.id, command === 'next-highlight' ? 'next' : 'prev');
+        notifyNavigationChanged(tab.id);
+        break;
+
+      case 'toggle-navigator':
+        // No default key (Chrome allows four suggested shortcuts) - users can assign one
+        if (!tab || !tab.id) return;
+        chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_NAVIGATOR' }, { frameId: 0 }).catch(() =>
+        {
+          // No content script on this page
+        });
+        break;
+
+      case 'toggle-highlighting':
+        // Tabs update through the storage change relay below
+        await Storage.setEnabled(!await Storage.getEnabled());
+        break;
+
+      case 'toggle-site':
+        if (!tab || !tab.url || !/^https?:/.test(tab.url)) return;
+        await Storage.toggleSite(tab.url);
+        break;
+
+      default:
+        console.warn('Live Highlighter: Unknown command', command);
+    }
+  } catch (error) {
+    console.error('Live Highlighter: Failed to handle command', command, error);
+  }
+});
+
+// ============================================================================
+// Context Menu
+// ============================================================================
+
+const MENU_ROOT_ID = 'add-selection';
+const MENU_NEW_GROUP_ID = 'add-selection-new-group';
+const MENU_GROUP_PREFIX = 'add-selection-group:';
+
+let menuRebuild = Promise.resolve();
+
+/**
+ * Rebuild the "Add to group" menu for selected text from the active profile's groups
+ * Rebuilds are chained so overlapping storage changes can't create duplicate menu IDs
+ */
+function rebuildContextMenu()
+{
+  menuRebuild = menuRebuild.then(async () =>
+  {
+    try {
+      await chrome.contextMenus.removeAll();
+      const groups = await Storage.getActiveProfileGroups();
+
+      // %s is replaced with the selected text by Chrome
+      chrome.contextMenus.create({
+        id: MENU_ROOT_ID,
+        title: chrome.i18n.getMessage('contextMenuAddSelection'),
+        contexts: ['selection']
+      });
+
+      groups.forEach(group =>
+      {
+        chrome.contextMenus.create({
+          id: MENU_GROUP_PREFIX + group.id,
+          parentId: MENU_ROOT_ID,
+          title: group.name,
+          contexts: ['selection']
+        });
+      });
+
+      if (groups.length > 0) {
+        chrome.contextMenus.create({
+          id: 'add-selection-separator',
+          parentId: MENU_ROOT_ID,
+          type: 'separator',
+          contexts: ['selection']
+        });
+      }
+
+      chrome.contextMenus.create({
+        id: MENU_NEW_GROUP_ID,
+        parentId: MENU_ROOT_ID,
+        title: chrome.i18n.getMessage('contextMenuNewGroup'),
+        contexts: ['selection']
+      });
+    } catch (error) {
+      console.error('Live Highlighter: Failed to build context menu', error);
+    }
+  });
+}
+
+/**
+ * Add the selected text to the chosen group, or to a new group
+ */
+chrome.contextMenus.onClicked.addListener(async (info) =>
+{
+  const menuItemId = String(info.menuItemId);
+  if (menuItemId !== MENU_NEW_GROUP_ID && !menuItemId.startsWith(MENU_GROUP_PREFIX)) {
+    return;
+  }
+
+  // Selections spanning lines come through with newlines and runs of spaces
+  const word = (info.selectionText || '').replace(/\s+/g, ' ').trim();
+  if (!word) {
+    return;
+  }
+
+  if (!Storage.isValidWord(word)) {
+    showNotification(chrome.i18n.getMessage('notifSelectionTooLong'));
+    return;
+  }
+
+  let groupId;
+  if (menuItemId === MENU_NEW_GROUP_ID) {
+    const groups = await Storage.getActiveProfileGroups();
+    if (groups.length >= MAX_GROUPS) {
+      showNotification(chrome.i18n.getMessage('notifMaxGroupsReached', [MAX_GROUPS.toString()]));
+      return;
+    }
+
+    // Same default name and colour cycle as "Add Group" in the options page
+    const colour = PRESET_COLOURS[groups.length % PRESET_COLOURS.length].hex;
+    const newGroup = await Storage.addGroup(
+      chrome.i18n.getMessage('defaultGroupName', [(groups.length + 1).toString()]), colour);
+    if (!newGroup) {
+      showNotification(chrome.i18n.getMessage('notifFailedAddGroup'));
+      return;
+    }
+    groupId = newGroup.id;
+  } else {
+    groupId = menuItemId.slice(MENU_GROUP_PREFIX.length);
+  }
+
+  await addSelectionToGroup(groupId, word);
+});
+
+/**
+ * Add selected text to a group, explaining why it couldn't be added
+ * Content scripts pick the new word up through the storage change relay below
+ * @param {string} groupId - Group ID
+ * @param {string} word - Selected text, whitespace collapsed
+ */
+async function addSelectionToGroup(groupId, word)
+{
+  const group = await Storage.getGroup(groupId);
+  if (!group) {
+    showNotification(chrome.i18n.getMessage('notifFailedAddWords', [word]));
+    return;
+  }
+
+  // Regex groups would read the selection as a pattern - escape it so it matches as typed
+  // (slashes too, so a selection like "/api/i" isn't read as /pattern/flags)
+  const entry = group.useRegex ? word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&') : word;
+
+  if (group.words.some(w => w.toLowerCase() === entry.toLowerCase())) {
+    showNotification(chrome.i18n.getMessage('notifDuplicateWord', [word, group.name]));
+    return;
+  }
+
+  if (!await Storage.canAddWord(groupId)) {
+    showNotification(group.words.length >= MAX_WORDS_PER_GROUP
+      ? chrome.i18n.getMessage('notifLimitReached', [word])
+      : chrome.i18n.getMessage('notifTotalLimitReached', [word]));
+    return;
+  }
+
+  if (!Storage.isValidWord(entry) || !await Storage.addWordToGroup(groupId, entry)) {
+    showNotification(chrome.i18n.getMessage('notifFailedAddWords', [word]));
+  }
+}
+
+/**
+ * Show a system notification (used where there's no extension page to show it in)
+ * @param {string} message - Notification text
+ */
+function showNotification(message)
+{
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: chrome.i18n.getMessage('appName'),
+    message
+  }).catch(error =>
+  {
+    console.error('Live Highlighter: Failed to show notification', error);
+  });
+}
+
+// ============================================================================
+// Action Badge
+// ============================================================================
+
+// Highlight counts reported by each frame, by tab: { tabId: { frameId: { count, group } } }
+// Kept in session storage so they survive the service worker being stopped between reports
+const BADGE_SESSION_KEY = 'badgeFrames';
+let badgeUpdate = Promise.resolve();
+
+/**
+ * Update the frame counts of a tab and redraw its badge
+ * Updates are chained so concurrent reports from several frames don't overwrite each other
+ * @param {number} tabId - Tab ID
+ * @param {function(object): void} update - Changes the tab's frame reports in place
+ * @param {boolean} [redraw=true] - Whether to redraw the badge (false once the tab is closed)
+ */
+function updateBadgeFrames(tabId, update, redraw = true)
+{
+  badgeUpdate = badgeUpdate.then(async () =>
+  {
+    const { [BADGE_SESSION_KEY]: tabs = {} } = await chrome.storage.session.get(BADGE_SESSION_KEY);
+    const frames = tabs[tabId] || {};
+    update(frames);
+
+    if (Object.keys(frames).length > 0) {
+      tabs[tabId] = frames;
+    } else {
+      delete tabs[tabId];
+    }
+    await chrome.storage.session.set({ [BADGE_SESSION_KEY]: tabs });
+
+    if (redraw) {
+      await drawBadge(tabId, frames, await Storage.getBadgeSettings());
+    }
+  }).catch(error =>
+  {
+    // The tab may have closed while the update was queued
+    console.debug('Live Highlighter: Failed to update badge', error);
+  });
+}
+
+/**
+ * Show a tab's highlight count on the toolbar icon
+ * @param {number} tabId - Tab ID
+ * @param {object} frames - Reports by frameId: { count, group: { order, colour, textColor } | null }
+ * @param {{showBadge: boolean, badgeGroupColour: boolean}} settings - Badge settings
+ */
+async function drawBadge(tabId, frames, settings)
+{
+  const reports = Object.values(frames);
+  const count = reports.reduce((sum, report) => sum + report.count, 0);
+
+  if (!settings.showBadge || count === 0) {
+    await chrome.action.setBadgeText({ tabId, text: '' });
+    return;
+  }
+
+  // The highest-priority group matched in any frame
+  const group = settings.badgeGroupColour
+    ? reports.map(report => report.group).filter(Boolean).sort((a, b) => a.order - b.order)[0]
+    : null;
+
+  await chrome.action.setBadgeText({ tabId, text: count > 999 ? '999+' : String(count) });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: group ? group.colour : BADGE_COLOUR });
+
+  // setBadgeTextColor needs Chrome 110+
+  if (chrome.action.setBadgeTextColor) {
+    await chrome.action.setBadgeTextColor({ tabId, color: group ? group.textColor : '#FFFFFF' });
+  }
+}
+
+/**
+ * Redraw every tab's badge (after the badge settings change)
+ */
+function redrawAllBadges()
+{
+  badgeUpdate = badgeUpdate.then(async () =>
+  {
+    const { [BADGE_SESSION_KEY]: tabs = {} } = await chrome.storage.session.get(BADGE_SESSION_KEY);
+    const settings = await Storage.getBadgeSettings();
+
+    await Promise.all(Object.entries(tabs).map(([tabId, frames]) =>
+      drawBadge(Number(tabId), frames, settings).catch(() =>
+      {
+        // Tab closed
+      })));
+  }).catch(error =>
+  {
+    console.error('Live Highlighter: Failed to redraw badges', error);
+  });
+}
+
+// A tab loading a new page starts from zero - its frames report again once they've highlighted
+// (content scripts also report again after same-document URL changes)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) =>
+{
+  if (changeInfo.status === 'loading') {
+    updateBadgeFrames(tabId, frames =>
+    {
+      Object.keys(frames).forEach(frameId => delete frames[frameId]);
+    });
+  }
+
+  // Frames can't see the tab's URL change when the top frame navigates within its document
+  // (single-page apps), so tell them - they apply the site settings and profile of that URL
+  if (changeInfo.url) {
+    chrome.tabs.sendMessage(tabId, { type: 'TAB_URL_CHANGED', url: changeInfo.url }).catch(() =>
+    {
+      // No content script on this page
+    });
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) =>
+{
+  updateBadgeFrames(tabId, frames =>
+  {
+    Object.keys(frames).forEach(frameId => delete frames[frameId]);
+  }, false);
+  Alerts.forgetTab(tabId);
+});
+
+// ============================================================================
+// Alert Notifications
+// ============================================================================
+
+/**
+ * Clicking an alert notification focuses its tab and shows the new match
+ * (the in-page navigator, if open, picks up the new position)
+ */
+chrome.notifications.onClicked.addListener(async (notificationId) =>
+{
+  if (!Alerts.isAlertNotification(notificationId)) return;
+
+  const { tabId } = Alerts.parseNotificationId(notificationId);
+  if (await Alerts.openNotification(notificationId)) {
+    notifyNavigationChanged(tabId);
+  }
+});
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+let syncTimer = null;
+
+/**
+ * Sync groups with chrome.storage.sync after a short delay (batches rapid edits)
+ */
+function scheduleSync()
+{
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(async () =>
+  {
+    if (await Sync.isSyncEnabled()) {
+      const result = await Sync.syncNow();
+      if (!result.success) {
+        console.warn('Live Highlighter: Sync did not complete', result.error);
+      }
+    }
+  }, SYNC_DEBOUNCE_MS);
+}
+
 // ============================================================================
 // Storage Change Monitoring
 // ============================================================================
@@ -138,13 +612,45 @@ chrome.storage.onChanged.addListener((changes, area) =>
   if (area === 'local') {
     console.log('Live Highlighter: Storage changed', changes);
 
-    // Notify content scripts when groups or enabled state changes
-    if (changes[STORAGE_KEYS.GROUPS] || changes[STORAGE_KEYS.ENABLED]) {
+    // Notify content scripts when groups, profiles, enabled state, site settings or display options change
+    // (only those keys are relayed - undo history entries are written alongside groups)
+    const relayedChanges = {};
+    [STORAGE_KEYS.GROUPS, STORAGE_KEYS.PROFILES, STORAGE_KEYS.ACTIVE_PROFILE,
+      STORAGE_KEYS.ENABLED, STORAGE_KEYS.SITE_SETTINGS, STORAGE_KEYS.SHOW_MINIMAP].forEach(key =>
+    {
+      if (changes[key]) {
+        relayedChanges[key] = changes[key];
+      }
+    });
+
+    if (Object.keys(relayedChanges).length > 0) {
       notifyAllTabs({
         type: 'STORAGE_CHANGED',
-        changes: changes
+        changes: relayedChanges
       });
     }
+
+    // Badge settings apply to every tab's badge
+    if (changes[STORAGE_KEYS.SHOW_BADGE] || changes[STORAGE_KEYS.BADGE_GROUP_COLOUR]) {
+      redrawAllBadges();
+    }
+
+    // Keep the context menu's group list current
+    if (changes[STORAGE_KEYS.GROUPS] || changes[STORAGE_KEYS.PROFILES] || changes[STORAGE_KEYS.ACTIVE_PROFILE]) {
+      rebuildContextMenu();
+    }
+
+    // Push local edits to sync (and run the first sync when it's turned on)
+    if (changes[STORAGE_KEYS.GROUPS] || changes[STORAGE_KEYS.PROFILES] || changes[STORAGE_KEYS.SYNC_ENABLED]) {
+      scheduleSync();
+    }
+  } else if (area === 'sync') {
+    // Another device (or this one) updated the synced groups - merging writes
+    // to local storage, which notifies tabs through the branch above
+    if (Sync.isSyncChange(changes)) {
+      console.log('Live Highlighter: Synced groups changed');
+      scheduleSync();
+    }
   }
 });
 
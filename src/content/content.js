@@ -6,29 +6,102 @@
   'use strict';
 
   // Access namespace
-  const { Storage, SKIP_ELEMENTS, HIGHLIGHT_PREFIX, MUTATION_DEBOUNCE_MS,
-    ACTIVE_HIGHLIGHT_NAME, ACTIVE_HIGHLIGHT_COLOR, ACTIVE_HIGHLIGHT_TEXT_COLOR } = LiveHighlighter;
+  const { Storage, UrlPatterns, Matcher, SKIP_ELEMENTS, INLINE_ELEMENTS, HIGHLIGHT_PREFIX, MUTATION_DEBOUNCE_MS,
+    NAV_OVERLAY_UPDATE_MS, MINIMAP_WIDTH_PX, MINIMAP_UPDATE_MS, BADGE_UPDATE_MS, ALERT_MATCHES_KEPT,
+    SCAN_SLICE_MS, SCAN_IDLE_TIMEOUT_MS, SCAN_VIEWPORT_MARGIN, MATCH_WORKER_MIN_CHARS, ACTIVE_HIGHLIGHT_NAME, ACTIVE_HIGHLIGHT_COLOR, ACTIVE_HIGHLIGHT_TEXT_COLOR } = LiveHighlighter;
 
   // ============================================================================
   // State Management
   // ============================================================================
 
-  let groups = [];   // Groups from storage
-  let rules = [];    // Flattened rules for highlighting (derived from groups)
-  let enabled = true;
+  let groups = [];   // Groups from storage (all profiles)
+  let profiles = []; // Profiles from storage
+  let activeProfileId = null;
+  let profileGroups = []; // Groups of the profile used on this tab (URL-matched or active)
+  let rules = [];    // Flattened rules for highlighting (derived from profileGroups in scope for rulesUrl)
+  let rulesUrl = ''; // URL the current rules were scoped to (changes on SPA navigation)
+  let enabled = true;        // Effective state: global toggle, site settings and pause combined
+  let globalEnabled = true;  // Global toggle from storage
+  let siteSettings = { ...LiveHighlighter.DEFAULT_SITE_SETTINGS };
+  let paused = false;        // Paused for this tab until reload (not persisted)
+  let tabUrl = location.href; // Top-level URL of the tab (site settings apply per tab)
   let observer = null;
   let debounceTimer = null;
-  let scrollTimer = null;
+  let pendingMutations = [];          // Mutations from every observer since the last debounced batch
+  const processedOverlays = new Set(); // Overlay elements already processed immediately in this batch
+  const changedTextNodes = new Set(); // Text nodes whose text changed in place since the last debounced batch
+
+  // Observers for open shadow roots in this document - the document's observer doesn't see inside them
+  // Map<ShadowRoot, MutationObserver>
+  const shadowObservers = new Map();
+
+  // Rules for same-origin iframes processed from this frame, scoped to the iframe's own URL
+  // Map<url, Array<rule>>
+  const frameRulesCache = new Map();
 
   // Cache of Range objects per highlight name for quick updates
   // Map<highlightName, Set<Range>>
   const rangeCache = new Map();
 
+  // Rule each range was created for (rangeCache is keyed by colour, which groups can share)
+  // WeakMap<Range, rule>
+  const rangeRules = new WeakMap();
+
+  // Ranges that start or end in each text node, so a changed run's ranges are found without
+  // searching them all (see removeRangesInNodes)
+  // WeakMap<Text, Set<Range>> - replaced when all highlights are cleared
+  let nodeRanges = new WeakMap();
+
+  // Compiled matcher for each rules array (built once per rules change, see flattenGroupsToRules)
+  // WeakMap<Array<rule>, matcher>
+  const ruleMatchers = new WeakMap();
+
+  // Text nodes already matched: their text, and the run they were matched in (first node and length)
+  // WeakMap<Text, {data, first, size}> - replaced when all highlights are cleared
+  let processedNodes = new WeakMap();
+  let scan = null; // Page scan in progress (see startScan)
+
+  // Match worker (see createMatchWorker)
+  let matchWorker = null;
+  let matchWorkerState = 'idle';   // 'loading', 'ready', or 'failed' (runs stay on the main thread)
+  let mainThreadMatchedChars = 0;  // Text matched on the main thread - the worker starts past MATCH_WORKER_MIN_CHARS
+  let matchQueue = [];             // Runs waiting to be sent to the worker
+  const matchesInFlight = new Map(); // Batch ID -> runs sent to the worker
+  let nextMatchBatchId = 1;
+  const workerRuleSetIds = new WeakMap(); // Rules array -> ID of its compiled copy in the worker
+  let nextRuleSetId = 1;
+
   // Navigation state
-  let navRanges = [];       // All ranges sorted in document order (main document only)
+  let navRanges = [];       // All ranges sorted in document order (this frame and its about:blank iframes)
   let navCurrentIndex = -1; // Current position (-1 = not navigating)
+  let navNavigatedAt = 0;   // When navCurrentIndex last moved (orders frames for the service worker)
   let navDirty = false;     // Flag to rebuild when highlights change
-  let navScrolling = false; // True while navigation scroll is in progress
+  let activeHighlightDoc = null; // Document showing the active highlight (may be an iframe's)
+  const navHiddenGroupIds = new Set(); // Groups filtered out of navigation by the navigator's chips
+  let navRestriction = null; // { groupId, word } picked in the popup - word is null for the whole group
+  let navWatched = false;   // True while the top frame's navigator is open (child frames report changes)
+  let navChangeTimer = null;
+
+  // In-page navigator (top frame only): { host, position, text, chips, chipsKey } while open
+  let navOverlay = null;
+  let navOverlayTimer = null;
+  let navOverlayRequest = 0; // Latest state request, so slower responses don't overwrite newer ones
+
+  // Scrollbar minimap: { host, layer, gutters, ranges, frame } while shown
+  let showMinimap = false;
+  let minimap = null;
+  let minimapTimer = null;
+
+  // Toolbar badge: the last count reported to the service worker (unchanged counts aren't resent)
+  let badgeReport = null;
+  let badgeTimer = null;
+
+  // Alerts: match counts of alert groups' words at the last check (null = next check only records them),
+  // alert ranges created since then, and recent new matches by alertId for notifications to jump to
+  let alertCounts = null;
+  let alertCandidates = [];
+  const alertRanges = new Map();
+  let nextAlertId = 1;
 
   // ============================================================================
   // Browser Compatibility Check
@@ -50,35 +123,84 @@
   /**
    * Flatten groups into a flat array of word-color mappings
    * This maintains compatibility with existing highlighting logic
+   * Groups whose include/exclude URL patterns don't match the URL are skipped.
+   * The rules are compiled for matching here, so each rules change compiles them once.
    * @param {Array} groups - Array of group objects
-   * @returns {Array} Flat array of {text, colour, textColor, enabled, order, matchWholeWord, caseSensitive, useRegex} objects
+   * @param {string} [url] - Page URL to scope groups to (defaults to this frame's URL)
+   * @returns {Array} Flat array of {text, groupId, colour, textColor, enabled, order, matchWholeWord, caseSensitive, ignoreAccents, useRegex, matchAcrossElements, alert} objects
    */
-  function flattenGroupsToRules(groups)
+  function flattenGroupsToRules(groups, url = location.href)
   {
     const flatRules = [];
 
     groups.forEach(group =>
     {
       if (!group.enabled) return;
+      if (!UrlPatterns.isGroupInScope(group, url)) return;
 
       group.words.forEach(word =>
       {
         flatRules.push({
           text: word.trim(),
+          groupId: group.id,
           colour: group.colour,
           textColor: group.textColor,
           enabled: true,
           order: group.order,  // Inherit priority from group
-          matchWholeWord: group.matchWholeWord || false,  // Default to false for backward compatibility
-          caseSensitive: group.caseSensitive || false,    // Default to false for backward compatibility
-          useRegex: group.useRegex || false               // Default to false for backward compatibility
+          matchWholeWord: group.matchWholeWord,  // Match options are filled in by storage migrations
+          caseSensitive: group.caseSensitive,
+          ignoreAccents: group.ignoreAccents,
+          useRegex: group.useRegex,
+          matchAcrossElements: group.matchAcrossElements,
+          alert: group.alert === true
         });
       });
     });
 
+    ruleMatchers.set(flatRules, Matcher.compile(flatRules));
     return flatRules;
   }
 
+  /**
+   * Rebuild rules for the current URL and drop any cached iframe rules
+   * The profile is picked from the tab URL, so every frame in a tab uses the same one
+   */
+  function updateRules()
+  {
+    const profileId = Storage.getProfileIdForUrl(profiles, activeProfileId, tabUrl);
+    profileGroups = Storage.getProfileGroups(groups, profileId);
+
+    releaseWorkerRuleSet(rules);
+    frameRulesCache.forEach(releaseWorkerRuleSet);
+
+    rulesUrl = location.href;
+    rules = flattenGroupsToRules(profileGroups, rulesUrl);
+    frameRulesCache.clear();
+
+    // Matches of the new rules aren't new to the page
+    alertCounts = null;
+  }
+
+  /**
+   * Get the rules that apply to a document
+   * Same-origin iframes processed from this frame are scoped to their own URL;
+   * about:blank and srcdoc iframes inherit this frame's URL
+   * @param {Document} doc - The document being highlighted
+   * @returns {Array} Rules in priority order
+   */
+  function getRulesForDocument(doc)
+  {
+    if (doc === document) return rules;
+
+    const url = doc.URL.startsWith('about:') ? rulesUrl : doc.URL;
+    if (url === rulesUrl) return rules;
+
+    if (!frameRulesCache.has(url)) {
+      frameRulesCache.set(url, flattenGroupsToRules(profileGroups, url));
+    }
+    return frameRulesCache.get(url);
+  }
+
   // ============================================================================
   // Initialization
   // ============================================================================
@@ -101,38 +223,139 @@
 
     // Load initial state from storage
     groups = await Storage.getGroups();
-    enabled = await Storage.getEnabled();
+    profiles = await Storage.getProfiles();
+    activeProfileId = await Storage.getActiveProfileId();
+    globalEnabled = await Storage.getEnabled();
+    siteSettings = await Storage.getSiteSettings();
+    showMinimap = await Storage.getShowMinimap();
+
+    // Frames follow the site settings of the tab they're in
+    if (isFrame) {
+      tabUrl = await getTabUrl();
+    }
+    updateEnabledState();
 
-    // Flatten groups to rules for highlighting
-    rules = flattenGroupsToRules(groups);
+    // Flatten groups to rules for highlighting (only groups in scope for this URL)
+    updateRules();
 
-    console.log(`Live Highlighter${frameInfo}: Loaded ${groups.length} groups (${rules.length} words), enabled: ${enabled}`);
+    console.log(`Live Highlighter${frameInfo}: Loaded ${profileGroups.length} groups (${rules.length} words), enabled: ${enabled}`);
 
     // Inject styles into the main document (for consistency with iframes)
-    // This ensures all documents use PRESET_COLOURS as the single source of truth
-    if (!document.getElementById('live-highlighter-styles')) {
-      injectStylesIntoDocument(document);
-    }
+    // This ensures all documents use PRESET_COLOURS and group colours as the single source of truth
+    injectStylesIntoDocument(document);
 
     if (enabled && rules.length > 0) {
       // Process the current page
       highlightPage();
 
-      // Set up mutation observer for dynamic content
-      setupMutationObserver();
-
-      // Set up scroll handler for virtual scrolling support
-      setupScrollHandler();
+      // Set up mutation observer
+      startObserving();
 
       // Fallback: Re-scan after delays to catch late-loading content
       // This helps with SPAs like Azure Portal that load content dynamically
-      // Skip if navigation is active to avoid destroying navigation state
-      setTimeout(() => { if (navCurrentIndex < 0) highlightPage(); }, 1000);
-      setTimeout(() => { if (navCurrentIndex < 0) highlightPage(); }, 3000);
+      setTimeout(rescanPage, 1000);
+      setTimeout(rescanPage, 3000);
     }
 
     // Listen for storage changes from background script
     setupMessageListener();
+
+    // Re-scope groups when a single-page app changes the URL
+    setupUrlChangeListener();
+  }
+
+  /**
+   * Recompute the effective enabled state from the global toggle,
+   * the per-site settings for this tab and the tab's pause state
+   */
+  function updateEnabledState()
+  {
+    enabled = globalEnabled && !paused && Storage.isUrlAllowed(siteSettings, tabUrl);
+
+    // Matches that turn up while highlighting is off aren't alerted once it's back on
+    if (!enabled) {
+      alertCounts = null;
+    }
+  }
+
+  /**
+   * Re-apply site settings and the profile for a new tab URL (child frames only)
+   * @param {string} url - The tab's top-level URL
+   */
+  function applyTabUrl(url)
+  {
+    if (url === tabUrl) return;
+
+    tabUrl = url;
+    updateEnabledState();
+    updateRules();
+    refreshHighlights();
+
+    if (enabled && rules.length > 0) {
+      startObserving();
+    }
+  }
+
+  /**
+   * Ask the service worker for the tab's top-level URL (frames can't read it cross-origin)
+   * @returns {Promise<string>} Tab URL, or this frame's URL if unavailable
+   */
+  async function getTabUrl()
+  {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TAB_URL' });
+      return (response && response.success && response.url) ? response.url : location.href;
+    } catch (e) {
+      return location.href;
+    }
+  }
+
+  /**
+   * Start watching the page for changes (idempotent)
+   * Called at init, or later when rules first become available on this page
+   */
+  function startObserving()
+  {
+    // Set up mutation observer for dynamic content (including nodes recycled by virtual scrolling)
+    if (!observer) {
+      setupMutationObserver();
+    }
+  }
+
+  /**
+   * Listen for same-document navigations (pushState, replaceState, hash changes)
+   * so groups scoped by URL are re-evaluated without a page reload
+   */
+  function setupUrlChangeListener()
+  {
+    const handleUrlChange = () =>
+    {
+      if (location.href === rulesUrl) return;
+
+      // The service worker clears the tab's badge counts when its URL changes
+      badgeReport = null;
+
+      // The top frame's URL is the tab URL used for site settings
+      if (window.self === window.top) {
+        tabUrl = location.href;
+        updateEnabledState();
+      }
+
+      updateRules();
+      refreshHighlights();
+
+      if (enabled && rules.length > 0) {
+        startObserving();
+      }
+    };
+
+    // Navigation API (Chrome 102+) covers history and hash navigations alike
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', handleUrlChange);
+    } else {
+      window.addEventListener('popstate', handleUrlChange);
+      window.addEventListener('hashchange', handleUrlChange);
+    }
   }
 
   // ============================================================================
@@ -140,54 +363,37 @@
   // ============================================================================
 
   /**
-   * Highlight all matching text on the current page
+   * Highlight all matching text on the current page from scratch
+   * Used when the rules or the enabled state change; everything else only adds to the highlights
+   * (see rescanPage)
    */
   function highlightPage()
   {
+    clearAllHighlights();
+
     if (!enabled || rules.length === 0) {
-      clearAllHighlights();
       return;
     }
 
-    // Use requestIdleCallback for better performance on large pages
-    // Guard: skip if navigation is active to avoid destroying navigation state
-    if ('requestIdleCallback' in window) {
-      requestIdleCallback(() =>
-      {
-        if (navCurrentIndex < 0) {
-          processDocument();
-        }
-      }, { timeout: 1000 });
-    } else {
-      processDocument();
-    }
+    startScan();
   }
 
   /**
-   * Process the entire document to create highlights
+   * Highlight text that is new or changed since it was last matched, keeping existing highlights
+   * Navigation state is kept too, so this is safe while the user steps through highlights
    */
-  function processDocument()
+  function rescanPage()
   {
     if (!enabled || rules.length === 0) {
       return;
     }
 
-    // Clear existing highlights and ranges
-    clearAllHighlights();
-
-    // Process the entire document starting from documentElement
-    // This catches all content including portals, layer hosts, and overlays
-    if (document.documentElement) {
-      processNode(document.documentElement);
-    }
-
-    // Also process same-origin iframes that were created with document.write()
-    // These don't get content scripts injected, so we need to process them from the parent
-    processSameOriginIframes();
+    startScan();
   }
 
   /**
-   * Process a DOM node and its descendants for highlighting
+   * Process a DOM node and its descendants for highlighting (including shadow roots inside it)
+   * Text runs already matched with the same text are skipped.
    * @param {Node} node - The node to process
    */
   function processNode(node)
@@ -196,30 +402,68 @@
       return;
     }
 
-    // Process the regular DOM tree
-    processNodeDOM(node);
-
-    // Process shadow DOM trees
-    processShadowRoots(node);
+    for (const textNodes of walkTextRuns(node)) {
+      processTextRun(textNodes);
+    }
   }
 
   /**
-   * Process a DOM tree (regular or shadow)
-   * @param {Node} root - The root node to process
-   * @param {Document} doc - The document context (for accessing CSS.highlights)
+   * Walk the text runs of a tree in document order, then those of the open shadow roots found
+   * along the way (which are watched for changes as they're found)
+   * @param {Node} root - Element, shadow root or document to walk
+   * @yields {Array<Text>} Text runs (see iterateTextRuns)
    */
-  function processNodeDOM(root, doc = document)
+  function* walkTextRuns(root)
   {
-    if (!root) return;
+    const ownerDoc = root.ownerDocument || root;
+    const roots = [root];
+    const addShadowRoot = shadowRoot =>
+    {
+      observeShadowRoot(shadowRoot);
+      if (!roots.includes(shadowRoot)) {
+        roots.push(shadowRoot);
+      }
+    };
+
+    if (root.shadowRoot) {
+      addShadowRoot(root.shadowRoot);
+    }
+
+    // Shadow roots found by the walker are appended, so nested ones are walked in turn
+    for (let i = 0; i < roots.length; i++) {
+      let walker;
+      do {
+        walker = createTextWalker(roots[i], ownerDoc, addShadowRoot);
+        yield* iterateTextRuns(walker);
+        // A page scan pauses between runs; if the page removes the node its walker stopped at, the
+        // walk ends early. Walk that root again - runs already matched are skipped.
+      } while (walker.currentNode !== roots[i] && !walker.currentNode.isConnected && roots[i].isConnected);
+    }
+  }
 
-    // Use the document that owns this root node to create the TreeWalker
-    const ownerDoc = root.ownerDocument || doc;
-    const walker = ownerDoc.createTreeWalker(
+  /**
+   * Create a TreeWalker over the text nodes that can be highlighted (and <br> elements, which end a run)
+   * @param {Node} root - Element, shadow root or document to walk
+   * @param {Document} ownerDoc - Document that owns root
+   * @param {Function} [onShadowRoot] - Called with the open shadow root of each element walked past
+   * @returns {TreeWalker}
+   */
+  function createTextWalker(root, ownerDoc, onShadowRoot = null)
+  {
+    return ownerDoc.createTreeWalker(
       root,
-      NodeFilter.SHOW_TEXT,
+      NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
       {
         acceptNode: function (node)
         {
+          // Elements are only visited so that <br> can end a text run (and to find shadow roots)
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            if (onShadowRoot && node.shadowRoot) {
+              onShadowRoot(node.shadowRoot);
+            }
+            return node.tagName === 'BR' ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+          }
+
           // Skip nodes in excluded elements
           const parent = node.parentElement;
           if (!parent) return NodeFilter.FILTER_REJECT;
@@ -229,59 +473,134 @@
             return NodeFilter.FILTER_REJECT;
           }
 
-          // Skip empty text nodes
-          if (!node.textContent.trim()) {
-            return NodeFilter.FILTER_REJECT;
-          }
-
+          // Whitespace-only nodes are kept: they separate words in a text run
           return NodeFilter.FILTER_ACCEPT;
         }
       }
     );
+  }
 
-    // Collect all text nodes first
-    const textNodes = [];
-    let currentNode;
-    while (currentNode = walker.nextNode()) {
-      textNodes.push(currentNode);
-    }
+  /**
+   * Re-match text nodes whose text changed in place (characterData mutations)
+   * The whole text run of each node is re-matched, since a match may span the node and its
+   * inline siblings.
+   * @param {Array<Text>} textNodes - Changed text nodes
+   */
+  function rehighlightTextNodes(textNodes)
+  {
+    const changed = new Set(textNodes.filter(node =>
+      node.isConnected && node.parentElement && !SKIP_ELEMENTS.includes(node.parentElement.tagName)));
+    if (changed.size === 0) return;
 
-    // Process each text node with the correct document context
-    textNodes.forEach(textNode =>
+    // Walk each block container once, however many of its nodes changed
+    const containerCache = new Map();
+    const containers = new Set();
+    changed.forEach(node => containers.add(getBlockContainer(node, containerCache)));
+
+    containers.forEach(container =>
     {
-      highlightTextNode(textNode, ownerDoc);
+      const ownerDoc = container.ownerDocument || container;
+      for (const run of iterateTextRuns(createTextWalker(container, ownerDoc))) {
+        if (run.some(node => changed.has(node))) {
+          processTextRun(run);
+        }
+      }
     });
   }
 
   /**
-   * Process shadow DOM roots recursively
-   * @param {Node} node - The node to search for shadow roots
+   * Group the text nodes of a TreeWalker into runs of adjacent nodes that
+   * share the same block-level container (nearest non-inline ancestor).
+   * A <br> always ends the current run.
+   * @param {TreeWalker} walker - Walker yielding text nodes and <br> elements
+   * @yields {Array<Text>} Text runs in document order
    */
-  function processShadowRoots(node)
+  function* iterateTextRuns(walker)
   {
-    if (!node) return;
+    const containerCache = new Map();
+    let currentRun = null;
+    let currentContainer = null;
+    let node;
+
+    while (node = walker.nextNode()) {
+      if (node.nodeType !== Node.TEXT_NODE) {
+        if (currentRun) yield currentRun;
+        currentRun = null;
+        continue;
+      }
+
+      const container = getBlockContainer(node, containerCache);
+      if (currentRun && container === currentContainer) {
+        currentRun.push(node);
+        continue;
+      }
 
-    // If this node has a shadow root, process it
-    if (node.shadowRoot) {
-      processNodeDOM(node.shadowRoot);
-      processShadowRoots(node.shadowRoot);
+      if (currentRun) yield currentRun;
+      currentRun = [node];
+      currentContainer = container;
     }
 
-    // Find all child elements and check for shadow roots
-    if (node.querySelectorAll) {
-      try {
-        const elements = node.querySelectorAll('*');
-        elements.forEach(element =>
-        {
-          if (element.shadowRoot) {
-            processNodeDOM(element.shadowRoot);
-            processShadowRoots(element.shadowRoot);
-          }
-        });
-      } catch (e) {
-        // querySelectorAll can fail on some nodes, silently ignore
-      }
+    if (currentRun) yield currentRun;
+  }
+
+  /**
+   * Find the nearest ancestor of a text node that is not an inline element
+   * @param {Text} textNode - The text node
+   * @param {Map<Node, Node>} cache - Parent to container lookups from this walk
+   * @returns {Node|null} Block-level element, shadow root or document
+   */
+  function getBlockContainer(textNode, cache)
+  {
+    const parent = textNode.parentNode;
+    if (cache.has(parent)) return cache.get(parent);
+
+    let container = parent;
+    while (container && container.nodeType === Node.ELEMENT_NODE &&
+           INLINE_ELEMENTS.includes(container.tagName)) {
+      container = container.parentNode;
     }
+
+    cache.set(parent, container);
+    return container;
+  }
+
+  /**
+   * Check whether a text run needs matching: one of its nodes hasn't been matched yet, its text
+   * changed since, or it was matched as part of a different run
+   * @param {Array<Text>} textNodes - Text run
+   * @returns {boolean}
+   */
+  function needsProcessing(textNodes)
+  {
+    return textNodes.some(node =>
+    {
+      const processed = processedNodes.get(node);
+      return !processed || processed.data !== node.data ||
+        processed.first !== textNodes[0] || processed.size !== textNodes.length;
+    });
+  }
+
+  /**
+   * Match a text run unless it was already matched with the same text
+   * Ranges left from matching its nodes before (with other text, or as another run) are replaced.
+   * @param {Array<Text>} textNodes - Text run
+   * @returns {boolean} True if the run was matched
+   */
+  function processTextRun(textNodes)
+  {
+    if (!needsProcessing(textNodes)) return false;
+
+    if (textNodes.some(node => processedNodes.has(node))) {
+      removeRangesInNodes(new Set(textNodes));
+    }
+
+    textNodes.forEach(node =>
+    {
+      processedNodes.set(node, { data: node.data, first: textNodes[0], size: textNodes.length });
+    });
+
+    highlightTextRun(textNodes, textNodes[0].ownerDocument);
+    return true;
   }
 
   /**
@@ -290,193 +609,193 @@
    */
   function processSameOriginIframes()
   {
-    // Find all iframes in the document
-    const iframes = document.querySelectorAll('iframe');
+    getSameOriginIframeDocuments().forEach(iframeDoc =>
+    {
+      // Inject CSS styles into the iframe (or update them if group colours changed)
+      injectStylesIntoDocument(iframeDoc);
+
+      // Process the iframe's document with the correct document context
+      processNode(iframeDoc.documentElement);
+    });
+  }
+
+  /**
+   * Find the documents of this document's same-origin iframes
+   * @returns {Document[]}
+   */
+  function getSameOriginIframeDocuments()
+  {
+    const docs = [];
 
-    iframes.forEach(iframe =>
+    document.querySelectorAll('iframe').forEach(iframe =>
     {
       try {
         // Try to access the iframe's contentDocument
         // This will throw if the iframe is cross-origin
         const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-
         if (iframeDoc && iframeDoc.documentElement) {
-          // We can access it, so it's same-origin
-
-          // Inject CSS styles into the iframe if not already present
-          if (!iframeDoc.getElementById('live-highlighter-styles')) {
-            injectStylesIntoDocument(iframeDoc);
-          }
-
-          // Process the iframe's document with the correct document context
-          processNodeDOM(iframeDoc.documentElement, iframeDoc);
-          processShadowRoots(iframeDoc.documentElement);
+          docs.push(iframeDoc);
         }
       } catch (e) {
         // Cross-origin iframe - we can't access it, skip silently
         // This is expected and normal for cross-origin iframes
       }
     });
+
+    return docs;
   }
 
   /**
-   * Inject highlight CSS styles into a document
+   * Inject highlight CSS styles into a document, or update them if already present
    * @param {Document} doc - The document to inject styles into
    */
   function injectStylesIntoDocument(doc)
   {
     try {
-      // Create a style element
-      const styleEl = doc.createElement('style');
-      styleEl.id = 'live-highlighter-styles';
-
-      // Generate CSS from PRESET_COLOURS (single source of truth)
-      const cssRules = LiveHighlighter.PRESET_COLOURS.map(color => {
-        const highlightName = LiveHighlighter.getHighlightName(color.hex);
-        return `::highlight(${highlightName}) { background-color: ${color.hex}; color: ${color.textColor}; }`;
-      }).join('\n        ');
-
-      // Active highlight for navigation (painted on top)
-      const activeRule = `::highlight(${ACTIVE_HIGHLIGHT_NAME}) { background-color: ${ACTIVE_HIGHLIGHT_COLOR}; color: ${ACTIVE_HIGHLIGHT_TEXT_COLOR}; text-decoration: underline 3px #1A73E8; }`;
-
-      styleEl.textContent = `/* Live Highlighter - CSS Custom Highlight API Styles */\n        ${cssRules}\n        ${activeRule}`;
+      const css = buildHighlightStyles();
+
+      let styleEl = doc.getElementById('live-highlighter-styles');
+      if (!styleEl) {
+        // Create a style element and append to the document head
+        styleEl = doc.createElement('style');
+        styleEl.id = 'live-highlighter-styles';
+        (doc.head || doc.documentElement).appendChild(styleEl);
+      }
 
-      // Append to the document head
-      (doc.head || doc.documentElement).appendChild(styleEl);
+      // Only touch the DOM when the rules actually changed
+      if (styleEl.textContent !== css) {
+        styleEl.textContent = css;
+      }
     } catch (e) {
       console.error('Live Highlighter: Failed to inject styles', e);
     }
   }
 
   /**
-   * Highlight matches in a single text node using CSS Highlight API
+   * Build the ::highlight() rules for preset colours and any custom group colours
+   * @returns {string} Stylesheet text
+   */
+  function buildHighlightStyles()
+  {
+    const registered = new Set();
+    const cssRules = [];
+
+    const addRule = (colourHex, textColor) =>
+    {
+      const highlightName = LiveHighlighter.getHighlightName(colourHex);
+      if (!highlightName || registered.has(highlightName)) return;
+      registered.add(highlightName);
+      cssRules.push(`::highlight(${highlightName}) { background-color: ${colourHex}; color: ${textColor}; }`);
+    };
+
+    // Generate CSS from PRESET_COLOURS (single source of truth)
+    LiveHighlighter.PRESET_COLOURS.forEach(color => addRule(color.hex, color.textColor));
+
+    // Register custom colours dynamically (text colour falls back to a WCAG-readable one)
+    groups.forEach(group =>
+    {
+      const textColor = Storage.isValidColour(group.textColor)
+        ? group.textColor
+        : LiveHighlighter.getReadableTextColor(group.colour);
+      addRule(group.colour, textColor);
+    });
+
+    // Active highlight for navigation (painted on top)
+    const activeRule = `::highlight(${ACTIVE_HIGHLIGHT_NAME}) { background-color: ${ACTIVE_HIGHLIGHT_COLOR}; color: ${ACTIVE_HIGHLIGHT_TEXT_COLOR}; text-decoration: underline 3px #1A73E8; }`;
+
+    return `/* Live Highlighter - CSS Custom Highlight API Styles */\n        ${cssRules.join('\n        ')}\n        ${activeRule}`;
+  }
+
+  /**
+   * Highlight matches in a single text node using CSS Highlight API (unless already matched)
    * @param {Text} textNode - The text node to process
+   */
+  function highlightTextNode(textNode)
+  {
+    processTextRun([textNode]);
+  }
+
+  /**
+   * Highlight matches in a run of adjacent text nodes using CSS Highlight API.
+   * The nodes are matched as one flattened string; match offsets are mapped
+   * back to (node, offset) pairs so a Range can span several nodes.
+   * Runs are matched by the match worker once it is running (see queueWorkerMatch),
+   * and on the main thread until then or when it is unavailable.
+   * @param {Array<Text>} textNodes - Adjacent text nodes in document order
    * @param {Document} doc - The document context (for accessing CSS.highlights)
    */
-  function highlightTextNode(textNode, doc = document)
+  function highlightTextRun(textNodes, doc = document)
   {
-    const text = textNode.textContent;
-    if (!text) return;
+    // Build the flattened text and the start offset of each node within it
+    let text = '';
+    const nodeOffsets = [];
+    textNodes.forEach(node =>
+    {
+      nodeOffsets.push(text.length);
+      text += node.textContent;
+    });
+
+    if (!text.trim()) return;
 
     // Get the CSS object from the document's window
-    const cssHighlights = doc.defaultView?.CSS?.highlights;
-    if (!cssHighlights) {
+    if (!doc.defaultView?.CSS?.highlights) {
       console.warn('Live Highlighter: CSS Highlight API not available in this document context');
       return;
     }
 
-    // Track all matches and their positions
-    const matches = [];
-
-    // Helper function to check if a character is a word boundary
-    const isWordBoundary = (text, index) => {
-      if (index < 0 || index >= text.length) return true;  // Start/end of text is a boundary
-      const char = text[index];
-      return !/\w/.test(char);  // Non-word characters are boundaries
+    // Rules are scoped to the URL of the document being highlighted
+    const docRules = getRulesForDocument(doc);
+    if (docRules.length === 0) return;
+
+    // lang: the document's language, for whole words in scripts written without spaces
+    // records: what each node held when it was read, to spot nodes that change before the matches arrive
+    const run = {
+      textNodes,
+      doc,
+      text,
+      nodeOffsets,
+      lang: doc.documentElement?.lang || '',
+      rules: docRules,
+      records: textNodes.map(node => processedNodes.get(node))
     };
 
-    // Check each rule in priority order (rules are already sorted by order field)
-    for (const rule of rules) {
-      if (!rule.enabled) continue;
-
-      const searchText = rule.text;
-
-      if (rule.useRegex) {
-        // Regex matching path
-        let regex;
-        try {
-          regex = new RegExp(searchText, 'g');
-        } catch (e) {
-          // Invalid regex pattern - skip this rule silently
-          continue;
-        }
-
-        let match;
-        while ((match = regex.exec(text)) !== null) {
-          // Prevent infinite loops on zero-length matches
-          if (match[0].length === 0) {
-            regex.lastIndex++;
-            continue;
-          }
-
-          const index = match.index;
-          const endIndex = index + match[0].length;
-
-          // Check if this position is already covered by a higher priority rule
-          const isOverlapping = matches.some(m =>
-            (index >= m.start && index < m.end) ||
-            (endIndex > m.start && endIndex <= m.end) ||
-            (index <= m.start && endIndex >= m.end)
-          );
-
-          if (!isOverlapping) {
-            matches.push({
-              start: index,
-              end: endIndex,
-              rule: rule
-            });
-          }
-        }
-      } else {
-        // Standard substring matching path
-        const caseSensitive = rule.caseSensitive || false;
-        const matchWholeWord = rule.matchWholeWord || false;
-
-        // Conditionally convert to lowercase based on case sensitivity option
-        const compareText = caseSensitive ? text : text.toLowerCase();
-        const compareSearch = caseSensitive ? searchText : searchText.toLowerCase();
-
-        let startIndex = 0;
-        while (true) {
-          const index = compareText.indexOf(compareSearch, startIndex);
-          if (index === -1) break;
-
-          const endIndex = index + searchText.length;
-
-          // Check word boundaries if matchWholeWord is enabled
-          let isValidMatch = true;
-          if (matchWholeWord) {
-            const beforeIsWord = !isWordBoundary(text, index - 1);
-            const afterIsWord = !isWordBoundary(text, endIndex);
-            isValidMatch = !beforeIsWord && !afterIsWord;  // Both must be boundaries
-          }
-
-          if (!isValidMatch) {
-            startIndex = index + 1;
-            continue;
-          }
+    if (matchWorkerState === 'ready') {
+      queueWorkerMatch(run);
+      return;
+    }
 
-          // Check if this position is already covered by a higher priority rule
-          const isOverlapping = matches.some(m =>
-            (index >= m.start && index < m.end) ||
-            (endIndex > m.start && endIndex <= m.end) ||
-            (index <= m.start && endIndex >= m.end)
-          );
-
-          if (!isOverlapping) {
-            matches.push({
-              start: index,
-              end: endIndex,
-              rule: rule
-            });
-          }
+    addMatchRanges(run, Matcher.findRunMatches(ruleMatchers.get(docRules), text, nodeOffsets, run.lang));
 
-          startIndex = index + 1;
-        }
-      }
+    mainThreadMatchedChars += text.length;
+    if (matchWorkerState === 'idle' && mainThreadMatchedChars >= MATCH_WORKER_MIN_CHARS) {
+      createMatchWorker();
     }
+  }
 
-    // If no matches found, nothing to do
-    if (matches.length === 0) return;
+  /**
+   * Add the ranges of a run's matches to the document's CSS.highlights
+   * @param {object} run - Text run (see highlightTextRun)
+   * @param {Array<{start: number, end: number, rule: object}>} matches - Matches in the run's text
+   * @returns {boolean} True if any range was added
+   */
+  function addMatchRanges(run, matches)
+  {
+    const { textNodes, doc, nodeOffsets } = run;
+    const cssHighlights = doc.defaultView?.CSS?.highlights;
+    if (!cssHighlights || matches.length === 0) return false;
 
     // Create Range objects for each match and add to the document's CSS.highlights
     matches.forEach(match =>
     {
       try {
+        // Map flattened offsets back to the text nodes they fall in
+        const startIndex = Matcher.findNodeIndex(nodeOffsets, match.start);
+        const endIndex = Matcher.findNodeIndex(nodeOffsets, match.end - 1);
+
         // Create a Range for this match using the document's window context
         const range = doc.createRange();
-        range.setStart(textNode, match.start);
-        range.setEnd(textNode, match.end);
+        range.setStart(textNodes[startIndex], match.start - nodeOffsets[startIndex]);
+        range.setEnd(textNodes[endIndex], match.end - nodeOffsets[endIndex]);
 
         // Get the highlight name for this rule's color
         const highlightName = LiveHighlighter.getHighlightName(match.rule.colour);
@@ -501,6 +820,11 @@
           rangeCache.set(highlightName, new Set());
         }
         rangeCache.get(highlightName).add(range);
+        rangeRules.set(range, match.rule);
+        indexRange(range);
+        if (match.rule.alert) {
+          alertCandidates.push(range);
+        }
 
         // Mark navigation list as dirty so it rebuilds on next navigate
         navDirty = true;
@@ -509,6 +833,8 @@
         console.debug('Live Highlighter: Failed to create range', e);
       }
     });
+
+    return true;
   }
 
   /**
@@ -516,14 +842,22 @@
    */
   function clearAllHighlights()
   {
+    // Stop scanning, and forget what was matched (matches still with the worker are dropped when they arrive)
+    cancelScan();
+    processedNodes = new WeakMap();
+    matchQueue = [];
+
     // Clear all CSS highlights
     CSS.highlights.clear();
 
     // Clear the range cache
     rangeCache.clear();
+    nodeRanges = new WeakMap();
 
     // Reset navigation state
     clearNavigation();
+    scheduleNavigationViewsUpdate();
+    scheduleBadgeUpdate();
   }
 
   /**
@@ -538,7 +872,8 @@
 
       for (const range of rangeSet) {
         try {
-          if (!range.startContainer.isConnected || range.toString().length === 0) {
+          if (!range.startContainer.isConnected || !range.endContainer.isConnected ||
+              range.toString().length === 0) {
             staleRanges.push(range);
           }
         } catch (e) {
@@ -548,7 +883,17 @@
 
       for (const range of staleRanges) {
         rangeSet.delete(range);
+        unindexRange(range);
         if (highlight) highlight.delete(range);
+
+        // Match the nodes again if they're put back (e.g. by virtual scrolling)
+        processedNodes.delete(range.startContainer);
+        processedNodes.delete(range.endContainer);
+      }
+
+      if (staleRanges.length > 0) {
+        scheduleMinimapUpdate();
+        scheduleBadgeUpdate();
       }
 
       // Clean up empty entries
@@ -561,6 +906,80 @@
     }
   }
 
+  /**
+   * Remove the ranges that start or end in any of the given text nodes from rangeCache and
+   * CSS.highlights (the text they covered may have changed)
+   * @param {Set<Text>} textNodes - Text nodes
+   */
+  function removeRangesInNodes(textNodes)
+  {
+    const ranges = new Set();
+    textNodes.forEach(node =>
+    {
+      const indexed = nodeRanges.get(node);
+      if (!indexed) return;
+      indexed.forEach(range => ranges.add(range));
+      nodeRanges.delete(node);
+    });
+
+    ranges.forEach(range =>
+    {
+      unindexRange(range);
+
+      const highlightName = LiveHighlighter.getHighlightName(rangeRules.get(range).colour);
+      const rangeSet = rangeCache.get(highlightName);
+      if (!rangeSet || !rangeSet.delete(range)) return;
+      if (rangeSet.size === 0) {
+        rangeCache.delete(highlightName);
+      }
+
+      if (range === navRanges[navCurrentIndex]) {
+        clearActiveHighlight();
+      }
+
+      // Ranges in same-origin iframes are registered with the iframe's window
+      const highlights = range.startContainer.ownerDocument.defaultView?.CSS?.highlights;
+      const highlight = highlights && highlights.get(highlightName);
+      if (highlight) {
+        highlight.delete(range);
+        if (highlight.size === 0) highlights.delete(highlightName);
+      }
+      navDirty = true;
+    });
+  }
+
+  /**
+   * Record a range under the text nodes it starts and ends in
+   * @param {Range} range - Range just added to rangeCache
+   */
+  function indexRange(range)
+  {
+    [range.startContainer, range.endContainer].forEach(node =>
+    {
+      let ranges = nodeRanges.get(node);
+      if (!ranges) {
+        ranges = new Set();
+        nodeRanges.set(node, ranges);
+      }
+      ranges.add(range);
+    });
+  }
+
+  /**
+   * Forget a range removed from rangeCache
+   * @param {Range} range - Range
+   */
+  function unindexRange(range)
+  {
+    [range.startContainer, range.endContainer].forEach(node =>
+    {
+      const ranges = nodeRanges.get(node);
+      if (ranges && ranges.delete(range) && ranges.size === 0) {
+        nodeRanges.delete(node);
+      }
+    });
+  }
+
   /**
    * Count all highlighted ranges on the page
    * @returns {number} Total number of highlights
@@ -584,10 +1003,8 @@
   {
     console.log('Live Highlighter: Refreshing highlights');
 
-    // Disconnect observer temporarily
-    if (observer) {
-      observer.disconnect();
-    }
+    // Disconnect observers temporarily
+    disconnectObservers();
 
     // Clear and rebuild
     if (enabled && rules.length > 0) {
@@ -596,337 +1013,1910 @@
       clearAllHighlights();
     }
 
-    // Reconnect observer
-    if (observer && enabled) {
-      observer.observe(document.documentElement, {
-        childList: true,
-        subtree: true
+    // Reconnect observers
+    if (enabled) {
+      reconnectObservers();
+    }
+  }
+
+  // ============================================================================
+  // Match Worker
+  // ============================================================================
+
+  // Scripts the match worker is built from, in load order (web-accessible, see manifest.json)
+  const MATCH_WORKER_SCRIPTS = ['src/shared/constants.js', 'src/shared/matcher.js', 'src/content/match-worker.js'];
+
+  /**
+   * Start the match worker, which matches text runs off the page's main thread
+   * Only started once a frame has matched MATCH_WORKER_MIN_CHARS of text, so small frames (ads,
+   * widgets) don't each get a thread. Content scripts can't start workers from extension URLs, so
+   * the worker runs from a blob: URL built from the scripts' text. Without workers - or on pages
+   * whose Content Security Policy blocks blob: workers - matching stays on the main thread.
+   */
+  async function createMatchWorker()
+  {
+    if (matchWorkerState !== 'idle') return;
+    matchWorkerState = 'loading';
+
+    let url = null;
+    try {
+      const sources = await Promise.all(MATCH_WORKER_SCRIPTS.map(async path =>
+      {
+        const response = await fetch(chrome.runtime.getURL(path));
+        if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+        return response.text();
+      }));
+      if (matchWorkerState !== 'loading') return;
+
+      url = URL.createObjectURL(new Blob(sources.map(source => source + '\n'), { type: 'text/javascript' }));
+      matchWorker = new Worker(url);
+      matchWorker.addEventListener('message', event => handleWorkerMessage(event.data, url));
+      matchWorker.addEventListener('error', event =>
+      {
+        event.preventDefault();
+        URL.revokeObjectURL(url);
+        stopMatchWorker(event.message || 'worker error');
+      });
+    } catch (e) {
+      if (url) URL.revokeObjectURL(url);
+      stopMatchWorker(e);
+    }
+  }
+
+  /**
+   * Give up on the match worker and match everything it still had on the main thread
+   * @param {*} reason - Why (logged)
+   */
+  function stopMatchWorker(reason)
+  {
+    if (matchWorkerState === 'failed') return;
+    console.log('Live Highlighter: Match worker unavailable, matching on the main thread', reason);
+
+    matchWorkerState = 'failed';
+    if (matchWorker) {
+      matchWorker.terminate();
+      matchWorker = null;
+    }
+
+    const runs = [...matchesInFlight.values()].flat().concat(matchQueue);
+    matchesInFlight.clear();
+    matchQueue = [];
+
+    let added = false;
+    runs.forEach(run =>
+    {
+      if (isRunCurrent(run) &&
+          addMatchRanges(run, Matcher.findRunMatches(ruleMatchers.get(run.rules), run.text, run.nodeOffsets, run.lang))) {
+        added = true;
+      }
+    });
+    onMatchingSettled(added);
+  }
+
+  /**
+   * Handle a message from the match worker
+   * @param {object} message - { type: 'ready' } or { type: 'matches', batchId, results } (see match-worker.js)
+   * @param {string} url - The worker's blob: URL, released once it has started
+   */
+  function handleWorkerMessage(message, url)
+  {
+    if (matchWorkerState === 'failed') return;
+
+    if (message.type === 'ready') {
+      URL.revokeObjectURL(url);
+      matchWorkerState = 'ready';
+      return;
+    }
+
+    if (message.type !== 'matches') return;
+
+    const runs = matchesInFlight.get(message.batchId);
+    if (!runs) return;
+    matchesInFlight.delete(message.batchId);
+
+    let added = false;
+    runs.forEach((run, i) =>
+    {
+      // Nodes changed or removed while in flight are matched again by the mutation that changed them
+      if (!isRunCurrent(run)) return;
+
+      const flat = message.results[i];
+      const matches = [];
+      for (let j = 0; j < flat.length; j += 3) {
+        matches.push({ start: flat[j], end: flat[j + 1], rule: run.rules[flat[j + 2]] });
+      }
+      if (addMatchRanges(run, matches)) {
+        added = true;
+      }
+    });
+
+    if (!isMatchingPending()) {
+      onMatchingSettled(added);
+    } else if (added) {
+      scheduleNavigationViewsUpdate();
+      scheduleBadgeUpdate();
+    }
+  }
+
+  /**
+   * Queue a text run for the match worker; runs queued in the same task are sent as one batch
+   * The worker answers batches in the order they're sent, so visible content is still matched first.
+   * @param {object} run - Text run (see highlightTextRun)
+   */
+  function queueWorkerMatch(run)
+  {
+    matchQueue.push(run);
+    if (matchQueue.length === 1) {
+      queueMicrotask(sendMatchBatch);
+    }
+  }
+
+  /**
+   * Send the queued runs to the match worker, along with any rule set it hasn't compiled yet
+   */
+  function sendMatchBatch()
+  {
+    if (matchQueue.length === 0 || matchWorkerState !== 'ready') return;
+
+    const runs = matchQueue;
+    matchQueue = [];
+
+    const batch = runs.map(run =>
+    {
+      let rulesId = workerRuleSetIds.get(run.rules);
+      if (rulesId === undefined) {
+        rulesId = nextRuleSetId++;
+        workerRuleSetIds.set(run.rules, rulesId);
+        matchWorker.postMessage({ type: 'rules', rulesId, rules: run.rules });
+      }
+      return { rulesId, text: run.text, nodeOffsets: run.nodeOffsets, lang: run.lang };
+    });
+
+    const batchId = nextMatchBatchId++;
+    matchesInFlight.set(batchId, runs);
+    matchWorker.postMessage({ type: 'match', batchId, runs: batch });
+  }
+
+  /**
+   * Let the worker forget a rule set that is being replaced
+   * @param {Array} ruleSet - Rules array (see flattenGroupsToRules)
+   */
+  function releaseWorkerRuleSet(ruleSet)
+  {
+    const rulesId = workerRuleSetIds.get(ruleSet);
+    if (rulesId === undefined) return;
+
+    workerRuleSetIds.delete(ruleSet);
+    if (matchWorker) {
+      matchWorker.postMessage({ type: 'dropRules', rulesId });
+    }
+  }
+
+  /**
+   * Check whether a run's nodes still hold the text that was matched
+   * @param {object} run - Text run (see highlightTextRun)
+   * @returns {boolean} False if a node was removed, changed, or matched again since
+   */
+  function isRunCurrent(run)
+  {
+    return run.textNodes.every((node, i) =>
+      node.isConnected && processedNodes.get(node) === run.records[i] && node.data === run.records[i].data);
+  }
+
+  /**
+   * Check whether any run is still waiting for the match worker
+   * @returns {boolean}
+   */
+  function isMatchingPending()
+  {
+    return matchQueue.length > 0 || matchesInFlight.size > 0;
+  }
+
+  /**
+   * Catch up once the match worker has answered everything sent to it: finish a scan that was
+   * waiting for it, or check alert groups for the matches that came in
+   * @param {boolean} added - True if highlights were added
+   */
+  function onMatchingSettled(added)
+  {
+    if (added) {
+      scheduleNavigationViewsUpdate();
+      scheduleBadgeUpdate();
+    }
+
+    if (scan) {
+      if (scan.waitingForMatches) {
+        scan.waitingForMatches = false;
+        scheduleScanSlice();
+      }
+    } else {
+      checkForAlerts();
+    }
+  }
+
+  // ============================================================================
+  // Page Scans
+  // ============================================================================
+
+  /**
+   * Scan the page for text runs that need matching, a slice at a time in idle callbacks
+   * Runs are walked in document order, then matched visible content first: each run's block
+   * container is watched by an IntersectionObserver until it's known to be in or near the
+   * viewport. Runs out of view are matched once the walk ends. A scan already in progress is
+   * replaced by the new one.
+   */
+  function startScan()
+  {
+    cancelScan();
+
+    const job = {
+      walker: walkPage(),
+      walkDone: false,
+      containerCache: new Map(),
+      pending: new Map(),   // Block container -> runs waiting for its visibility
+      visible: [],
+      visibleIndex: 0,
+      offscreen: [],
+      offscreenIndex: 0,
+      intersection: null,
+      sliceHandle: null,
+      startedAt: performance.now(),
+      visibleAt: 0,
+      slices: 0,
+      longestSlice: 0,
+      matched: 0,
+      waitingForMatches: false
+    };
+
+    job.intersection = new IntersectionObserver(entries =>
+    {
+      entries.forEach(entry =>
+      {
+        const runs = job.pending.get(entry.target);
+        if (!runs) return;
+
+        job.pending.delete(entry.target);
+        job.intersection.unobserve(entry.target);
+        (entry.isIntersecting ? job.visible : job.offscreen).push(...runs);
       });
+
+      if (job === scan) {
+        scheduleScanSlice();
+      }
+    }, { rootMargin: SCAN_VIEWPORT_MARGIN });
+
+    scan = job;
+    scheduleScanSlice();
+  }
+
+  /**
+   * Stop the scan in progress, if any (the runs it hadn't matched are found by the next scan)
+   */
+  function cancelScan()
+  {
+    if (!scan) return;
+
+    if (scan.sliceHandle !== null) {
+      if ('cancelIdleCallback' in window) {
+        cancelIdleCallback(scan.sliceHandle);
+      } else {
+        clearTimeout(scan.sliceHandle);
+      }
+    }
+    scan.intersection.disconnect();
+    scan = null;
+  }
+
+  /**
+   * Walk every text run this frame highlights: its own document, then same-origin iframes
+   * created with document.write() (they don't get content scripts of their own)
+   * @yields {Array<Text>} Text runs
+   */
+  function* walkPage()
+  {
+    // Start from documentElement to catch all content including portals, layer hosts, and overlays
+    if (document.documentElement) {
+      yield* walkTextRuns(document.documentElement);
+    }
+
+    for (const iframeDoc of getSameOriginIframeDocuments()) {
+      injectStylesIntoDocument(iframeDoc);
+      yield* walkTextRuns(iframeDoc.documentElement);
     }
   }
 
+  /**
+   * Run the scan's next slice when the page is idle
+   */
+  function scheduleScanSlice()
+  {
+    if (!scan || scan.sliceHandle !== null) return;
+
+    if ('requestIdleCallback' in window) {
+      scan.sliceHandle = requestIdleCallback(runScanSlice, { timeout: SCAN_IDLE_TIMEOUT_MS });
+    } else {
+      scan.sliceHandle = setTimeout(() => runScanSlice(null), 0);
+    }
+  }
+
+  /**
+   * Do scan work for up to SCAN_SLICE_MS (less if the idle period ends sooner)
+   * @param {IdleDeadline|null} deadline - From requestIdleCallback
+   */
+  function runScanSlice(deadline)
+  {
+    const job = scan;
+    if (!job) return;
+    job.sliceHandle = null;
+
+    if (!enabled || rules.length === 0) {
+      cancelScan();
+      return;
+    }
+
+    const sliceStart = performance.now();
+    const matchedBefore = job.matched;
+    const hasTime = () =>
+      performance.now() - sliceStart < SCAN_SLICE_MS &&
+      (!deadline || deadline.didTimeout || deadline.timeRemaining() > 0);
+
+    let working;
+    do {
+      working = scanStep(job);
+    } while (working && hasTime());
+
+    const sliceTime = performance.now() - sliceStart;
+    job.slices++;
+    job.longestSlice = Math.max(job.longestSlice, sliceTime);
+
+    if (job.matched > matchedBefore) {
+      scheduleNavigationViewsUpdate();
+      scheduleBadgeUpdate();
+    }
+
+    if (job.walkDone && job.pending.size === 0 && job.visibleIndex === job.visible.length &&
+        job.offscreenIndex === job.offscreen.length) {
+      if (isMatchingPending()) {
+        // Finished once the worker has answered (see onMatchingSettled)
+        job.waitingForMatches = true;
+      } else {
+        finishScan(job);
+      }
+    } else if (working) {
+      scheduleScanSlice();
+    }
+    // Otherwise the scan waits for the IntersectionObserver to place the runs left
+  }
+
+  /**
+   * Do the next piece of a scan's work: match a visible run, walk on to the next run, or match
+   * a run that's out of view once the walk is done
+   * @param {object} job - The scan
+   * @returns {boolean} False when nothing can be done until visibility is known, or the scan is done
+   */
+  function scanStep(job)
+  {
+    if (job.visibleIndex < job.visible.length) {
+      matchScanRun(job, job.visible[job.visibleIndex++]);
+      return true;
+    }
+
+    if (!job.walkDone) {
+      const next = job.walker.next();
+      if (next.done) {
+        job.walkDone = true;
+      } else {
+        queueScanRun(job, next.value);
+      }
+      return true;
+    }
+
+    // Hidden tabs don't run IntersectionObserver callbacks until they're shown
+    if (job.pending.size > 0 && document.hidden) {
+      job.pending.forEach(runs => job.offscreen.push(...runs));
+      job.pending.clear();
+      job.intersection.disconnect();
+    }
+
+    if (job.pending.size > 0) return false;
+
+    if (!job.visibleAt) {
+      job.visibleAt = performance.now();
+    }
+
+    if (job.offscreenIndex < job.offscreen.length) {
+      matchScanRun(job, job.offscreen[job.offscreenIndex++]);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Queue a walked text run for matching once its visibility is known
+   * Runs outside this document's elements (in shadow roots directly, or in iframes) count as visible.
+   * @param {object} job - The scan
+   * @param {Array<Text>} textNodes - Text run
+   */
+  function queueScanRun(job, textNodes)
+  {
+    if (!needsProcessing(textNodes)) return;
+
+    const container = getBlockContainer(textNodes[0], job.containerCache);
+    if (!container || container.nodeType !== Node.ELEMENT_NODE || container.ownerDocument !== document ||
+        document.hidden) {
+      job.visible.push(textNodes);
+      return;
+    }
+
+    const waiting = job.pending.get(container);
+    if (waiting) {
+      waiting.push(textNodes);
+    } else {
+      job.pending.set(container, [textNodes]);
+      job.intersection.observe(container);
+    }
+  }
+
+  /**
+   * Match a queued text run, unless it has been removed or matched since it was walked
+   * @param {object} job - The scan
+   * @param {Array<Text>} textNodes - Text run
+   */
+  function matchScanRun(job, textNodes)
+  {
+    if (textNodes[0].isConnected && processTextRun(textNodes)) {
+      job.matched++;
+    }
+  }
+
+  /**
+   * End a scan and record how long it took
+   * The times are performance measures (lh-scan-visible and lh-scan), so they can be read from
+   * the DevTools Performance panel or tests/max-capacity/max-capacity.html.
+   * @param {object} job - The scan
+   */
+  function finishScan(job)
+  {
+    job.intersection.disconnect();
+    scan = null;
+
+    const end = performance.now();
+    const detail = { matched: job.matched, slices: job.slices, longestSlice: job.longestSlice };
+    try {
+      performance.measure('lh-scan-visible', { start: job.startedAt, end: job.visibleAt || end, detail });
+      performance.measure('lh-scan', { start: job.startedAt, end, detail });
+    } catch (e) {
+      // User Timing unavailable, the console message below still has the times
+    }
+    console.debug(`Live Highlighter: Scan matched ${job.matched} text runs in ${job.slices} slices ` +
+      `(visible ${Math.round((job.visibleAt || end) - job.startedAt)}ms, total ${Math.round(end - job.startedAt)}ms, ` +
+      `longest slice ${job.longestSlice.toFixed(1)}ms)`);
+
+    scheduleNavigationViewsUpdate();
+    scheduleBadgeUpdate();
+    checkForAlerts();
+  }
+
   // ============================================================================
   // MutationObserver for Dynamic Content
   // ============================================================================
 
+  // Added and removed nodes, and text changed in place (e.g. a status cell going "Running" -> "Failed")
+  const OBSERVER_OPTIONS = {
+    childList: true,
+    characterData: true,
+    subtree: true
+  };
+
+  /**
+   * Check if an element looks like an overlay/menu/modal that should be processed immediately
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  function isOverlayElement(element)
+  {
+    if (!element || !element.getAttribute) return false;
+
+    // Check for common overlay/menu/modal attributes and classes
+    const role = element.getAttribute('role');
+    const classAttr = element.getAttribute('class') || '';
+    const tagName = element.tagName;
+
+    return (
+      // ARIA roles for menus and dialogs
+      role === 'menu' ||
+      role === 'menuitem' ||
+      role === 'dialog' ||
+      role === 'tooltip' ||
+      role === 'listbox' ||
+      // Common class patterns
+      classAttr.includes('menu') ||
+      classAttr.includes('dropdown') ||
+      classAttr.includes('popover') ||
+      classAttr.includes('modal') ||
+      classAttr.includes('overlay') ||
+      classAttr.includes('contextmenu') ||
+      classAttr.includes('flyout') ||
+      // Common tags
+      tagName === 'DIALOG'
+    );
+  }
+
+  /**
+   * Set up mutation observer to handle dynamic content changes
+   */
+  function setupMutationObserver()
+  {
+    if (!enabled || rules.length === 0) {
+      return;
+    }
+
+    observer = new MutationObserver(handleMutations);
+
+    // Observe the entire document to catch all overlays, portals, and layer hosts
+    // This is generic and works across all frameworks (React portals, Vue teleport, etc.)
+    observer.observe(document.documentElement, OBSERVER_OPTIONS);
+
+    console.log('Live Highlighter: MutationObserver started');
+  }
+
+  /**
+   * Handle mutations from the document's observer or a shadow root's
+   * Overlays are highlighted straight away; everything else waits for the debounced batch
+   * @param {MutationRecord[]} mutations
+   */
+  function handleMutations(mutations)
+  {
+    mutations.forEach(mutation =>
+    {
+      // Collected across callbacks until the debounced batch re-matches them
+      if (mutation.type === 'characterData') {
+        changedTextNodes.add(mutation.target);
+        return;
+      }
+
+      pendingMutations.push(mutation);
+
+      // Process overlay elements immediately (menus, dropdowns, tooltips)
+      mutation.addedNodes.forEach(node =>
+      {
+        if (node.nodeType === Node.ELEMENT_NODE && isOverlayElement(node)) {
+          processNode(node);
+          processedOverlays.add(node);
+        }
+      });
+    });
+
+    // Debounce other mutations to avoid excessive processing
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+    debounceTimer = setTimeout(processPendingMutations, MUTATION_DEBOUNCE_MS);
+  }
+
+  /**
+   * Highlight the nodes added and text changed since the last batch
+   */
+  function processPendingMutations()
+  {
+    const mutations = pendingMutations;
+    pendingMutations = [];
+    let hasNewIframes = false;
+    let hasRemovedNodes = false;
+
+    // Process each mutation
+    mutations.forEach(mutation =>
+    {
+      if (mutation.removedNodes.length > 0) {
+        hasRemovedNodes = true;
+      }
+
+      // Handle added nodes (processNode also observes any shadow roots inside them)
+      mutation.addedNodes.forEach(node =>
+      {
+        // Skip if we already processed it as an overlay
+        if (processedOverlays.has(node)) return;
+
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          processNode(node);
+
+          // Check if this is an iframe or contains iframes
+          if (node.tagName === 'IFRAME') {
+            hasNewIframes = true;
+          } else if (node.querySelectorAll) {
+            const iframes = node.querySelectorAll('iframe');
+            if (iframes.length > 0) {
+              hasNewIframes = true;
+            }
+          }
+        } else if (node.nodeType === Node.TEXT_NODE) {
+          highlightTextNode(node);
+        }
+      });
+    });
+    processedOverlays.clear();
+
+    // Re-match text changed in place (after added nodes, so their fresh ranges are replaced, not doubled)
+    if (changedTextNodes.size > 0) {
+      rehighlightTextNodes([...changedTextNodes]);
+      changedTextNodes.clear();
+    }
+
+    // Stop watching shadow roots whose hosts were removed
+    if (hasRemovedNodes) {
+      pruneShadowObservers();
+    }
+
+    // If new iframes were added, process them after a delay to allow document.write() to complete
+    if (hasNewIframes) {
+      setTimeout(() => processSameOriginIframes(), 100);
+      setTimeout(() => processSameOriginIframes(), 500);
+    }
+
+    // Ranges were added, or removed along with their nodes
+    scheduleNavigationViewsUpdate();
+    scheduleBadgeUpdate();
+    checkForAlerts();
+  }
+
+  /**
+   * Watch an open shadow root for changes (idempotent)
+   * Called as shadow roots are found while highlighting, so roots inside added nodes - or inside
+   * other shadow roots - are watched as soon as they're processed.
+   * Shadow roots of same-origin iframes aren't watched, like the rest of those documents.
+   * @param {ShadowRoot} root - Shadow root
+   */
+  function observeShadowRoot(root)
+  {
+    if (shadowObservers.has(root) || root.ownerDocument !== document) return;
+
+    const shadowObserver = new MutationObserver(handleMutations);
+    shadowObserver.observe(root, OBSERVER_OPTIONS);
+    shadowObservers.set(root, shadowObserver);
+  }
+
+  /**
+   * Stop watching shadow roots whose hosts are no longer in the document
+   * (a host that's added back is processed, and watched, again)
+   */
+  function pruneShadowObservers()
+  {
+    for (const [root, shadowObserver] of shadowObservers) {
+      if (!root.host.isConnected) {
+        shadowObserver.disconnect();
+        shadowObservers.delete(root);
+      }
+    }
+  }
+
+  /**
+   * Stop the document's and shadow roots' observers (while highlights are rebuilt or turned off)
+   */
+  function disconnectObservers()
+  {
+    if (observer) {
+      observer.disconnect();
+    }
+    shadowObservers.forEach(shadowObserver => shadowObserver.disconnect());
+  }
+
+  /**
+   * Start the observers stopped by disconnectObservers again
+   */
+  function reconnectObservers()
+  {
+    if (observer) {
+      observer.observe(document.documentElement, OBSERVER_OPTIONS);
+    }
+
+    pruneShadowObservers();
+    shadowObservers.forEach((shadowObserver, root) => shadowObserver.observe(root, OBSERVER_OPTIONS));
+  }
+
+  // ============================================================================
+  // Toolbar Badge
+  // ============================================================================
+
+  /**
+   * Report this frame's highlight count shortly after highlights change (batches bursts of mutations)
+   */
+  function scheduleBadgeUpdate()
+  {
+    clearTimeout(badgeTimer);
+    badgeTimer = setTimeout(reportHighlightCount, BADGE_UPDATE_MS);
+  }
+
+  /**
+   * Send this frame's highlight count and its highest-priority matched group to the service worker,
+   * which adds up the frames of the tab for the toolbar badge
+   */
+  function reportHighlightCount()
+  {
+    pruneStaleRanges();
+
+    // Same counts as the popup: about:blank iframes are counted here, other frames report themselves
+    const { groupCounts } = countRanges();
+    const count = Object.values(groupCounts).reduce((sum, groupCount) => sum + groupCount, 0);
+    const topGroup = profileGroups
+      .filter(group => groupCounts[group.id] > 0)
+      .sort((a, b) => a.order - b.order)[0];
+
+    const report = {
+      count,
+      group: topGroup ? { order: topGroup.order, colour: topGroup.colour, textColor: topGroup.textColor } : null
+    };
+
+    const reportKey = JSON.stringify(report);
+    if (reportKey === badgeReport) return;
+    badgeReport = reportKey;
+
+    chrome.runtime.sendMessage({ type: 'HIGHLIGHT_COUNT_CHANGED', ...report }).catch(() =>
+    {
+      // Extension reloaded - this content script is orphaned
+      badgeReport = null;
+    });
+  }
+
+  // ============================================================================
+  // Alerts
+  // ============================================================================
+
+  /**
+   * Report words of alert groups that have more matches than at the last check to the service
+   * worker, which raises a notification (see src/background/alerts.js)
+   * Counts are compared rather than new ranges, so content that's re-rendered doesn't alert again
+   */
+  function checkForAlerts()
+  {
+    // A scan in progress checks when it finishes, so a half-scanned page isn't taken as the baseline,
+    // and matches still with the worker are checked when they arrive (see onMatchingSettled)
+    if (scan || isMatchingPending()) return;
+
+    const candidates = alertCandidates;
+    alertCandidates = [];
+    if (!rules.some(rule => rule.alert)) return;
+
+    pruneStaleRanges();
+
+    // Matches per word, in the documents counted for this frame
+    const counts = new Map();
+    const countedRules = new Map();
+    for (const rangeSet of rangeCache.values()) {
+      for (const range of rangeSet) {
+        const rule = rangeRules.get(range);
+        if (rule && rule.alert && isNavigableDocument(range.startContainer.ownerDocument)) {
+          const key = `${rule.groupId}\n${rule.text}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+          countedRules.set(key, rule);
+        }
+      }
+    }
+
+    const previous = alertCounts;
+    alertCounts = counts;
+    if (!previous) return;
+
+    const increased = [...counts.keys()]
+      .filter(key => counts.get(key) > (previous.get(key) || 0))
+      .map(key => countedRules.get(key))
+      .sort((a, b) => a.order - b.order);
+    if (increased.length === 0) return;
+
+    // The notification jumps to the latest new match of the highest-priority word
+    const top = increased[0];
+    const range = candidates.reverse().find(candidate =>
+    {
+      const rule = rangeRules.get(candidate);
+      return rule && rule.groupId === top.groupId && rule.text === top.text && candidate.startContainer.isConnected;
+    });
+
+    const alertId = nextAlertId++;
+    if (range) {
+      alertRanges.set(alertId, range);
+      if (alertRanges.size > ALERT_MATCHES_KEPT) {
+        alertRanges.delete(alertRanges.keys().next().value);
+      }
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'ALERT_MATCHES',
+      alertId,
+      title: document.title,
+      matches: increased.map(rule =>
+      {
+        const group = profileGroups.find(g => g.id === rule.groupId);
+        const key = `${rule.groupId}\n${rule.text}`;
+        return {
+          word: rule.text,
+          groupName: group ? group.name : '',
+          added: counts.get(key) - (previous.get(key) || 0)
+        };
+      })
+    }).catch(() =>
+    {
+      // Extension reloaded - this content script is orphaned
+    });
+  }
+
+  /**
+   * Show the match an alert notification was raised for (sent when the notification is clicked)
+   * @param {number} alertId - ID sent with ALERT_MATCHES
+   * @returns {{found: boolean}} found is false once the match has gone from the page
+   */
+  function showAlertMatch(alertId)
+  {
+    const range = alertRanges.get(alertId);
+    if (!range || !range.startContainer.isConnected || range.collapsed) {
+      return { found: false };
+    }
+
+    navigateToRange(range);
+
+    // Groups filtered out of navigation can still be shown, outside the navigation sequence
+    if (navRanges[navCurrentIndex] !== range) {
+      navCurrentIndex = -1;
+      setActiveHighlight(range);
+      scrollToRange(range);
+    }
+
+    return { found: true };
+  }
+
+  // ============================================================================
+  // Highlight Navigation
+  // ============================================================================
+
+  /**
+   * Build a sorted list of the highlight ranges this frame navigates: its own document and
+   * same-origin iframes it highlights itself (see isNavigableDocument).
+   * Skips ranges of groups filtered out in the in-page navigator.
+   */
+  function buildNavigationList()
+  {
+    pruneStaleRanges();
+
+    // Save the current range to restore position after rebuild
+    const currentRange = (navCurrentIndex >= 0 && navCurrentIndex < navRanges.length)
+      ? navRanges[navCurrentIndex]
+      : null;
+
+    navRanges = [];
+
+    for (const rangeSet of rangeCache.values()) {
+      for (const range of rangeSet) {
+        // Only include ranges that are still connected to a document navigated from here
+        try {
+          if (isNavigableDocument(range.startContainer.ownerDocument) &&
+              range.startContainer.isConnected &&
+              range.endContainer.isConnected &&
+              range.toString().length > 0 &&
+              !isRangeHiddenFromNavigation(range)) {
+            navRanges.push(range);
+          }
+        } catch (e) {
+          // Range may have been detached, skip it
+        }
+      }
+    }
+
+    // Sort ranges in page order - compareBoundaryPoints throws across documents and shadow trees,
+    // so ranges are compared by the iframe or shadow host elements they're nested in first
+    const hostAnchors = new Map();
+    const paths = new Map(navRanges.map(range => [range, getPositionPath(range, hostAnchors)]));
+    navRanges.sort((a, b) => comparePositionPaths(paths.get(a), paths.get(b)));
+
+    // Restore position if the current range still exists in the new list
+    if (currentRange) {
+      const restoredIndex = navRanges.indexOf(currentRange);
+      navCurrentIndex = restoredIndex >= 0 ? restoredIndex : -1;
+    } else {
+      navCurrentIndex = -1;
+    }
+
+    navDirty = false;
+  }
+
+  /**
+   * Check if this frame navigates the highlights in a document: its own, or a same-origin
+   * iframe without a content script of its own (about:blank, srcdoc) that it highlights itself.
+   * Iframes with their own content script navigate their own highlights, and the service worker
+   * joins the frames into one sequence.
+   * @param {Document} doc
+   * @returns {boolean}
+   */
+  function isNavigableDocument(doc)
+  {
+    if (doc === document) return true;
+
+    const frame = doc.defaultView && doc.defaultView.frameElement;
+    // Content scripts run in http(s) and file frames (see manifest.json), but not about: frames
+    return !!frame && frame.ownerDocument === document && !/^(https?|file):/.test(doc.URL);
+  }
+
+  /**
+   * Get a range's position in the page as a path of ranges from this frame's document down:
+   * one around each shadow host or iframe element it's nested in, then the range itself
+   * @param {Range} range
+   * @param {Map<Element, Range>} hostAnchors - Ranges around host elements, shared across calls
+   * @returns {Range[]}
+   */
+  function getPositionPath(range, hostAnchors)
+  {
+    const path = [range];
+    let root = range.startContainer.getRootNode();
+
+    while (root !== document) {
+      const host = root.host || (root.defaultView && root.defaultView.frameElement);
+      if (!host) break;
+
+      if (!hostAnchors.has(host)) {
+        const anchor = host.ownerDocument.createRange();
+        anchor.selectNode(host);
+        hostAnchors.set(host, anchor);
+      }
+      path.unshift(hostAnchors.get(host));
+      root = host.getRootNode();
+    }
+
+    return path;
+  }
+
+  /**
+   * Compare two position paths (see getPositionPath) in page order
+   * Each level is only compared once the levels above it are the same host
+   * @param {Range[]} a
+   * @param {Range[]} b
+   * @returns {number} Negative if a comes first, positive if b does, 0 if unknown
+   */
+  function comparePositionPaths(a, b)
+  {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      if (a[i] === b[i]) continue; // Same host element
+
+      try {
+        const result = a[i].compareBoundaryPoints(Range.START_TO_START, b[i]);
+        if (result !== 0) return result;
+      } catch (e) {
+        return 0; // Range detached while sorting
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * List the child frames that navigate their own highlights, in document order,
+   * with how many of this frame's highlights come before each one
+   * @returns {Array<{frameId: number, before: number}>}
+   */
+  function getChildFrames()
+  {
+    // runtime.getFrameId maps a frame element to its frameId (Chrome 106+)
+    if (typeof chrome.runtime.getFrameId !== 'function') return [];
+
+    const hostAnchors = new Map();
+    const frames = [];
+
+    findFrameElements(document).forEach(frame =>
+    {
+      try {
+        const frameId = chrome.runtime.getFrameId(frame);
+        if (frameId < 0) return;
+
+        // Highlights in this frame's about:blank iframes are already in navRanges
+        const frameDoc = frame.contentDocument;
+        if (frameDoc && isNavigableDocument(frameDoc)) return;
+
+        const anchor = document.createRange();
+        anchor.selectNode(frame);
+        frames.push({ frameId, path: getPositionPath(anchor, hostAnchors) });
+      } catch (e) {
+        // Frame detached while listing, skip it
+      }
+    });
+
+    // Frames inside shadow roots are found after the rest, so put them back in page order
+    return frames
+      .sort((a, b) => comparePositionPaths(a.path, b.path))
+      .map(({ frameId, path }) => ({ frameId, before: countRangesBefore(path, hostAnchors) }));
+  }
+
+  /**
+   * Find the iframe and frame elements in a document or shadow root, including nested shadow roots
+   * @param {Document|ShadowRoot} root
+   * @returns {Element[]}
+   */
+  function findFrameElements(root)
+  {
+    const frames = [...root.querySelectorAll('iframe, frame')];
+
+    root.querySelectorAll('*').forEach(element =>
+    {
+      if (element.shadowRoot) {
+        frames.push(...findFrameElements(element.shadowRoot));
+      }
+    });
+
+    return frames;
+  }
+
+  /**
+   * Count the navigation ranges that come before a position in the page
+   * @param {Range[]} path - Position path (see getPositionPath)
+   * @param {Map<Element, Range>} hostAnchors - Ranges around host elements
+   * @returns {number}
+   */
+  function countRangesBefore(path, hostAnchors)
+  {
+    // Binary search - navRanges is sorted in page order
+    let low = 0;
+    let high = navRanges.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (comparePositionPaths(getPositionPath(navRanges[mid], hostAnchors), path) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Check if a range is skipped by navigation: its group is filtered out in the in-page navigator,
+   * or navigation is restricted to another group or word from the popup
+   * @param {Range} range
+   * @returns {boolean}
+   */
+  function isRangeHiddenFromNavigation(range)
+  {
+    if (navHiddenGroupIds.size === 0 && !navRestriction) return false;
+
+    const rule = rangeRules.get(range);
+    if (!rule) return !!navRestriction;
+    if (navHiddenGroupIds.has(rule.groupId)) return true;
+
+    return !!navRestriction && (rule.groupId !== navRestriction.groupId ||
+      (navRestriction.word !== null && rule.text !== navRestriction.word));
+  }
+
+  /**
+   * Navigate to the next or previous highlight
+   * @param {'next'|'prev'} direction
+   * @returns {{ index: number, total: number }} 1-based index and total count
+   */
+  function navigateHighlight(direction)
+  {
+    // Always rebuild to prune stale ranges and get accurate count
+    buildNavigationList();
+
+    if (navRanges.length === 0) {
+      return { index: 0, total: 0, text: '' };
+    }
+
+    if (direction === 'next') {
+      return showNavigationRange((navCurrentIndex + 1) % navRanges.length);
+    }
+    return showNavigationRange((navCurrentIndex - 1 + navRanges.length) % navRanges.length);
+  }
+
+  /**
+   * Navigate to a specific highlight (e.g. a minimap marker)
+   * @param {Range} range - A range from the navigation list
+   * @returns {{ index: number, total: number }} 1-based index and total count
+   */
+  function navigateToRange(range)
+  {
+    buildNavigationList();
+
+    const index = navRanges.indexOf(range);
+    return index >= 0 ? showNavigationRange(index) : getNavigationState();
+  }
+
+  /**
+   * Navigate to a highlight by position (sent by the service worker for cross-frame navigation)
+   * @param {number} index - 1-based position in this frame's navigation list
+   * @returns {{ index: number, total: number }} 1-based index and total count
+   */
+  function navigateToIndex(index)
+  {
+    buildNavigationList();
+    return index >= 1 && index <= navRanges.length ? showNavigationRange(index - 1) : getNavigationState();
+  }
+
+  /**
+   * Make a highlight in the navigation list the active one and scroll to it
+   * @param {number} index - 0-based position in navRanges
+   * @returns {{ index: number, total: number }} 1-based index and total count
+   */
+  function showNavigationRange(index)
+  {
+    navCurrentIndex = index;
+    navNavigatedAt = Date.now();
+
+    const range = navRanges[index];
+    setActiveHighlight(range);
+    scrollToRange(range);
+
+    return { index: navCurrentIndex + 1, total: navRanges.length, text: range.toString() };
+  }
+
+  /**
+   * Refresh the in-page navigator and minimap after highlights were added or removed
+   * Child frames tell the top frame's navigator through the service worker while it's open
+   */
+  function scheduleNavigationViewsUpdate()
+  {
+    scheduleNavOverlayUpdate();
+    scheduleMinimapUpdate();
+
+    if (navWatched && window.self !== window.top) {
+      clearTimeout(navChangeTimer);
+      navChangeTimer = setTimeout(() =>
+      {
+        chrome.runtime.sendMessage({ type: 'FRAME_HIGHLIGHTS_CHANGED' }).catch(() =>
+        {
+          // Extension reloaded - nothing to update
+        });
+      }, NAV_OVERLAY_UPDATE_MS);
+    }
+  }
+
+  /**
+   * Set the active (focused) highlight for navigation
+   * @param {Range} range - The range to highlight as active (may be in a same-origin iframe)
+   */
+  function setActiveHighlight(range)
+  {
+    try {
+      clearActiveHighlight();
+
+      // Highlights are registered with the window of the document they're in
+      const view = range.startContainer.ownerDocument.defaultView;
+      const highlight = new view.Highlight(range);
+      highlight.priority = 1000; // Paint on top of regular highlights
+      view.CSS.highlights.set(ACTIVE_HIGHLIGHT_NAME, highlight);
+      activeHighlightDoc = view.document;
+    } catch (e) {
+      console.debug('Live Highlighter: Failed to set active highlight', e);
+    }
+  }
+
+  /**
+   * Remove the active highlight from this document and any iframe it was shown in
+   */
+  function clearActiveHighlight()
+  {
+    [document, activeHighlightDoc].forEach(doc =>
+    {
+      try {
+        if (doc && doc.defaultView) {
+          doc.defaultView.CSS.highlights.delete(ACTIVE_HIGHLIGHT_NAME);
+        }
+      } catch (e) {
+        // Ignore - highlights may already be cleared
+      }
+    });
+    activeHighlightDoc = null;
+  }
+
+  /**
+   * Check if an element is within the visible viewport of its own window
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  function isElementInViewport(el)
+  {
+    const view = el.ownerDocument.defaultView || window;
+    const rect = el.getBoundingClientRect();
+    return (
+      rect.top >= 0 &&
+      rect.bottom <= (view.innerHeight || el.ownerDocument.documentElement.clientHeight)
+    );
+  }
+
+  /**
+   * Scroll the page to bring the given range into view, centered vertically
+   * Uses the parent element's scrollIntoView which handles nested scroll containers
+   * @param {Range} range
+   */
+  function scrollToRange(range)
+  {
+    try {
+      const node = range.startContainer;
+      if (!node.isConnected) return;
+
+      const el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+      if (el && el.scrollIntoView) {
+        if (!isElementInViewport(el)) {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+      }
+    } catch (e) {
+      console.debug('Live Highlighter: Failed to scroll to range', e);
+    }
+  }
+
+  /**
+   * Get current navigation state
+   * @returns {{ index: number, total: number }}
+   */
+  function getNavigationState()
+  {
+    // Always rebuild to prune stale ranges and get accurate count
+    buildNavigationList();
+    return {
+      index: navCurrentIndex >= 0 ? navCurrentIndex + 1 : 0,
+      total: navRanges.length,
+      text: navCurrentIndex >= 0 ? navRanges[navCurrentIndex].toString() : ''
+    };
+  }
+
+  /**
+   * Get this frame's navigation state for the service worker, which joins
+   * the frames of a tab into one sequence (see src/background/frame-navigation.js)
+   * @returns {object} { index, total, text, navigatedAt, frames, groupCounts, wordCounts, restriction }
+   */
+  function getFrameNavigationState()
+  {
+    const state = getNavigationState();
+    return {
+      ...state,
+      navigatedAt: state.index > 0 ? navNavigatedAt : 0,
+      frames: getChildFrames(),
+      ...countRanges(),
+      restriction: navRestriction
+    };
+  }
+
+  /**
+   * Count highlights per group and per word in the documents navigated from this frame
+   * (including ones filtered out of navigation)
+   * @returns {{groupCounts: object, wordCounts: object}} Group ID to count, and group ID to word to count
+   */
+  function countRanges()
+  {
+    const groupCounts = {};
+    const wordCounts = {};
+
+    for (const rangeSet of rangeCache.values()) {
+      for (const range of rangeSet) {
+        const rule = rangeRules.get(range);
+        if (rule && isNavigableDocument(range.startContainer.ownerDocument)) {
+          const words = wordCounts[rule.groupId] || (wordCounts[rule.groupId] = {});
+          groupCounts[rule.groupId] = (groupCounts[rule.groupId] || 0) + 1;
+          words[rule.text] = (words[rule.text] || 0) + 1;
+        }
+      }
+    }
+
+    return { groupCounts, wordCounts };
+  }
+
+  /**
+   * Clear navigation state
+   */
+  function clearNavigation()
+  {
+    navRanges = [];
+    navCurrentIndex = -1;
+    navDirty = false;
+    clearActiveHighlight();
+  }
+
+  // ============================================================================
+  // In-page Navigator
+  // ============================================================================
+
+  // Styles for the navigator's shadow root (page styles can't reach into it, and it can't leak out)
+  const NAV_OVERLAY_STYLES = `
+    .bar {
+      box-sizing: border-box;
+      width: 320px;
+      padding: 8px 10px;
+      background: #ffffff;
+      color: #202124;
+      border: 1px solid #dadce0;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+      font: 13px/1.4 "Segoe UI", Roboto, sans-serif;
+    }
+    .row {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .position {
+      min-width: 56px;
+      color: #5f6368;
+      font-variant-numeric: tabular-nums;
+      user-select: none;
+    }
+    .text {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    button {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 26px;
+      height: 26px;
+      padding: 0;
+      background: none;
+      color: inherit;
+      border: 1px solid #dadce0;
+      border-radius: 4px;
+      cursor: pointer;
+      font: inherit;
+    }
+    button:hover {
+      background: #f1f3f4;
+    }
+    button:focus-visible {
+      outline: 2px solid #1a73e8;
+      outline-offset: 1px;
+    }
+    .close {
+      border-color: transparent;
+      font-size: 18px;
+    }
+    .chips {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin-top: 6px;
+    }
+    .chips:empty {
+      display: none;
+    }
+    .chip {
+      width: auto;
+      height: 22px;
+      padding: 0 8px;
+      border: 1px solid rgba(0, 0, 0, 0.15);
+      border-radius: 11px;
+      font-size: 12px;
+    }
+    .chip:hover {
+      filter: brightness(0.92);
+    }
+    .chip[aria-pressed="false"] {
+      opacity: 0.45;
+      text-decoration: line-through;
+    }
+    @media (prefers-color-scheme: dark) {
+      .bar {
+        background: #292a2d;
+        color: #e8eaed;
+        border-color: #5f6368;
+      }
+      .position {
+        color: #9aa0a6;
+      }
+      button {
+        border-color: #5f6368;
+      }
+      button:hover {
+        background: #3c4043;
+      }
+      button:focus-visible {
+        outline-color: #8ab4f8;
+      }
+    }
+  `;
+
+  /**
+   * Show the navigator in the top-right corner of the page
+   * It lives in a closed shadow root, so page CSS and scripts can't break it
+   * and the highlighter never matches its own text
+   */
+  function openNavOverlay()
+  {
+    if (navOverlay || !document.documentElement) return;
+
+    const host = document.createElement('live-highlighter-navigator');
+    host.style.cssText = 'all: initial !important; position: fixed !important; top: 12px !important; ' +
+      'right: 12px !important; z-index: 2147483647 !important;';
+
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>${NAV_OVERLAY_STYLES}</style>
+      <div class="bar" role="dialog">
+        <div class="row">
+          <span class="position"></span>
+          <span class="text"></span>
+          <button class="prev">
+            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+              <path d="M11.354 1.646a.5.5 0 0 1 0 .708L5.707 8l5.647 5.646a.5.5 0 0 1-.708.708l-6-6a.5.5 0 0 1 0-.708l6-6a.5.5 0 0 1 .708 0z"/>
+            </svg>
+          </button>
+          <button class="next">
+            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+              <path d="M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708z"/>
+            </svg>
+          </button>
+          <button class="close">&times;</button>
+        </div>
+        <div class="chips"></div>
+      </div>
+    `;
+
+    const bar = root.querySelector('.bar');
+    const prevBtn = root.querySelector('.prev');
+    const nextBtn = root.querySelector('.next');
+    const closeBtn = root.querySelector('.close');
+
+    bar.setAttribute('aria-label', chrome.i18n.getMessage('navOverlayLabel'));
+    prevBtn.title = chrome.i18n.getMessage('navPrevious');
+    nextBtn.title = chrome.i18n.getMessage('navNext');
+    closeBtn.title = chrome.i18n.getMessage('navOverlayClose');
+
+    prevBtn.addEventListener('click', () => navigateFromOverlay('prev'));
+    nextBtn.addEventListener('click', () => navigateFromOverlay('next'));
+    closeBtn.addEventListener('click', closeNavOverlay);
+
+    // Find-bar keys: Enter / Shift+Enter step through highlights, Escape closes
+    bar.addEventListener('keydown', (event) =>
+    {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeNavOverlay();
+      } else if (event.key === 'Enter' && !event.target.classList.contains('chip')) {
+        event.preventDefault();
+        navigateFromOverlay(event.shiftKey ? 'prev' : 'next');
+      }
+    });
+
+    navOverlay = {
+      host,
+      position: root.querySelector('.position'),
+      text: root.querySelector('.text'),
+      chips: root.querySelector('.chips'),
+      chipsKey: ''
+    };
+
+    document.documentElement.appendChild(host);
+    setNavigationFilter(true);
+    nextBtn.focus();
+  }
+
+  /**
+   * Remove the navigator and its group filters
+   */
+  function closeNavOverlay()
+  {
+    if (!navOverlay) return;
+
+    clearTimeout(navOverlayTimer);
+    navOverlay.host.remove();
+    navOverlay = null;
+
+    // Filters only apply while the navigator is open
+    navHiddenGroupIds.clear();
+    setNavigationFilter(false);
+  }
+
+  /**
+   * Step through highlights from the navigator's buttons or keys
+   * @param {'next'|'prev'} direction
+   */
+  async function navigateFromOverlay(direction)
+  {
+    const request = ++navOverlayRequest;
+    const state = await requestTabNavigation({ type: 'NAVIGATE_TAB', direction });
+    if (request === navOverlayRequest) {
+      renderNavOverlay(state);
+    }
+  }
+
+  /**
+   * Apply the navigator's group filters in every frame of the tab, then refresh the navigator
+   * @param {boolean} watching - Whether child frames should report highlight changes
+   */
+  async function setNavigationFilter(watching)
+  {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_NAVIGATION_FILTER',
+        hiddenGroupIds: [...navHiddenGroupIds],
+        watching
+      });
+    } catch (error) {
+      // Extension reloaded - filter this frame only
+      applyNavigationFilter([...navHiddenGroupIds], watching);
+    }
+    updateNavOverlay();
+  }
+
   /**
-   * Check if an element looks like an overlay/menu/modal that should be processed immediately
-   * @param {Element} element - Element to check
-   * @returns {boolean}
+   * Set the groups filtered out of navigation (sent to every frame by the service worker)
+   * @param {string[]} hiddenGroupIds - Group IDs to skip
+   * @param {boolean} watching - Whether the top frame's navigator is open
    */
-  function isOverlayElement(element)
+  function applyNavigationFilter(hiddenGroupIds, watching)
   {
-    if (!element || !element.getAttribute) return false;
-
-    // Check for common overlay/menu/modal attributes and classes
-    const role = element.getAttribute('role');
-    const classAttr = element.getAttribute('class') || '';
-    const tagName = element.tagName;
+    navHiddenGroupIds.clear();
+    hiddenGroupIds.forEach(groupId => navHiddenGroupIds.add(groupId));
+    navWatched = watching;
+    refreshNavigationFilter();
+  }
 
-    return (
-      // ARIA roles for menus and dialogs
-      role === 'menu' ||
-      role === 'menuitem' ||
-      role === 'dialog' ||
-      role === 'tooltip' ||
-      role === 'listbox' ||
-      // Common class patterns
-      classAttr.includes('menu') ||
-      classAttr.includes('dropdown') ||
-      classAttr.includes('popover') ||
-      classAttr.includes('modal') ||
-      classAttr.includes('overlay') ||
-      classAttr.includes('contextmenu') ||
-      classAttr.includes('flyout') ||
-      // Common tags
-      tagName === 'DIALOG'
-    );
+  /**
+   * Restrict navigation to one group or word (sent to every frame by the service worker)
+   * @param {{groupId: string, word: string|null}|null} restriction - null to navigate everything
+   */
+  function applyNavigationRestriction(restriction)
+  {
+    navRestriction = restriction
+      ? { groupId: restriction.groupId, word: typeof restriction.word === 'string' ? restriction.word : null }
+      : null;
+    refreshNavigationFilter();
   }
 
   /**
-   * Set up mutation observer to handle dynamic content changes
+   * Rebuild the navigation list after its filters changed
    */
-  function setupMutationObserver()
+  function refreshNavigationFilter()
   {
-    if (!enabled || rules.length === 0) {
-      return;
+    // The current highlight may have been filtered out
+    buildNavigationList();
+    if (navCurrentIndex < 0) {
+      clearActiveHighlight();
     }
+    scheduleMinimapUpdate();
+  }
 
-    observer = new MutationObserver((mutations) =>
-    {
-      // Check if any mutations contain overlay elements that need immediate processing
-      let hasOverlay = false;
-      const overlayNodes = [];
+  /**
+   * Ask the service worker for the tab's navigation state across all frames
+   * Falls back to this frame's highlights if the service worker can't be reached
+   * @param {object} message - GET_TAB_NAVIGATION_STATE or NAVIGATE_TAB message
+   * @returns {Promise<{index: number, total: number, text: string, groupCounts: object}>}
+   */
+  async function requestTabNavigation(message)
+  {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response && response.success) {
+        return response;
+      }
+    } catch (error) {
+      console.debug('Live Highlighter: Tab navigation unavailable, using this frame only', error);
+    }
 
-      mutations.forEach(mutation =>
-      {
-        mutation.addedNodes.forEach(node =>
-        {
-          if (node.nodeType === Node.ELEMENT_NODE && isOverlayElement(node)) {
-            hasOverlay = true;
-            overlayNodes.push(node);
-          }
-        });
-      });
+    const state = message.type === 'NAVIGATE_TAB' ? navigateHighlight(message.direction) : getNavigationState();
+    return { ...state, ...countRanges() };
+  }
 
-      // Process overlay elements immediately (menus, dropdowns, tooltips)
-      if (hasOverlay) {
-        overlayNodes.forEach(node => processNode(node));
-      }
+  /**
+   * Refresh the navigator shortly after highlights change (batches bursts of mutations)
+   */
+  function scheduleNavOverlayUpdate()
+  {
+    if (!navOverlay) return;
 
-      // Debounce other mutations to avoid excessive processing
-      if (debounceTimer) {
-        clearTimeout(debounceTimer);
-      }
+    clearTimeout(navOverlayTimer);
+    navOverlayTimer = setTimeout(updateNavOverlay, NAV_OVERLAY_UPDATE_MS);
+  }
 
-      debounceTimer = setTimeout(() =>
-      {
-        let hasNewIframes = false;
+  /**
+   * Fetch the tab's navigation state and show it in the navigator
+   */
+  async function updateNavOverlay()
+  {
+    if (!navOverlay) return;
 
-        // Process each mutation
-        mutations.forEach(mutation =>
-        {
-          // Handle added nodes
-          mutation.addedNodes.forEach(node =>
-          {
-            // Skip if we already processed it as an overlay
-            if (overlayNodes.includes(node)) return;
-
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              processNode(node);
-
-              // Check if this is an iframe or contains iframes
-              if (node.tagName === 'IFRAME') {
-                hasNewIframes = true;
-              } else if (node.querySelectorAll) {
-                const iframes = node.querySelectorAll('iframe');
-                if (iframes.length > 0) {
-                  hasNewIframes = true;
-                }
-              }
-            } else if (node.nodeType === Node.TEXT_NODE) {
-              highlightTextNode(node);
-            }
-          });
-        });
+    const request = ++navOverlayRequest;
+    const state = await requestTabNavigation({ type: 'GET_TAB_NAVIGATION_STATE' });
+    if (request === navOverlayRequest) {
+      renderNavOverlay(state);
+    }
+  }
 
-        // If new iframes were added, process them after a delay to allow document.write() to complete
-        if (hasNewIframes) {
-          setTimeout(() => processSameOriginIframes(), 100);
-          setTimeout(() => processSameOriginIframes(), 500);
-        }
-      }, MUTATION_DEBOUNCE_MS);
-    });
+  /**
+   * Show the current position, matched text and group chips in the navigator
+   * @param {{index: number, total: number, text: string, groupCounts: object}} state - Tab navigation state
+   */
+  function renderNavOverlay(state)
+  {
+    if (!navOverlay) return;
 
-    // Observe the entire document to catch all overlays, portals, and layer hosts
-    // This is generic and works across all frameworks (React portals, Vue teleport, etc.)
-    observer.observe(document.documentElement, {
-      childList: true,
-      subtree: true
-    });
+    navOverlay.position.textContent = state.index > 0 ? `${state.index} / ${state.total}` : `- / ${state.total}`;
+    navOverlay.text.textContent = state.text ? `"${state.text}"` : '';
 
-    console.log('Live Highlighter: MutationObserver started');
+    renderNavOverlayChips(state.groupCounts || {});
   }
 
   /**
-   * Set up scroll handler to re-highlight content after scrolling
-   * This handles virtual scrolling where DOM nodes are removed/re-added
+   * Show a chip for each group with highlights on the page; clicking one
+   * includes or excludes that group's highlights from navigation
+   * @param {object} counts - Group ID to highlight count across all frames
    */
-  function setupScrollHandler()
+  function renderNavOverlayChips(counts)
   {
-    // Listen for scroll on ANY element (using capture phase)
-    // This catches scrolling in containers, not just window
-    document.addEventListener('scroll', () =>
-    {
-      // Clear existing timer
-      if (scrollTimer) {
-        clearTimeout(scrollTimer);
-      }
+    const chipGroups = profileGroups.filter(group => counts[group.id] || navHiddenGroupIds.has(group.id));
 
-      // Re-highlight after scrolling stops (300ms debounce)
-      // Skip when navigating or during navigation scroll to preserve state
-      scrollTimer = setTimeout(() =>
+    // Rebuilding on every update would drop keyboard focus from the chips
+    const chipsKey = JSON.stringify(chipGroups.map(group =>
+      [group.id, group.name, group.colour, counts[group.id] || 0, navHiddenGroupIds.has(group.id)]));
+    if (chipsKey === navOverlay.chipsKey) return;
+    navOverlay.chipsKey = chipsKey;
+
+    navOverlay.chips.replaceChildren(...chipGroups.map(group =>
+    {
+      const chip = document.createElement('button');
+      chip.className = 'chip';
+      chip.textContent = `${group.name} (${counts[group.id] || 0})`;
+      chip.style.background = group.colour;
+      chip.style.color = group.textColor;
+      chip.setAttribute('aria-pressed', String(!navHiddenGroupIds.has(group.id)));
+      chip.title = chrome.i18n.getMessage('navOverlayFilter');
+
+      chip.addEventListener('click', () =>
       {
-        if (enabled && rules.length > 0 && navCurrentIndex < 0 && !navScrolling) {
-          // With CSS Highlight API, we can just re-process the page
-          // This is fast because we only create Range objects, no DOM manipulation
-          highlightPage();
+        if (navHiddenGroupIds.has(group.id)) {
+          navHiddenGroupIds.delete(group.id);
+        } else {
+          navHiddenGroupIds.add(group.id);
         }
-      }, 300);
-    }, { passive: true, capture: true });
+        setNavigationFilter(true);
+      });
 
-    console.log('Live Highlighter: Scroll handler started');
+      return chip;
+    }));
   }
 
   // ============================================================================
-  // Highlight Navigation
+  // Scrollbar Minimap
   // ============================================================================
 
+  // Styles for the minimap's shadow root
+  const MINIMAP_STYLES = `
+    .gutter {
+      position: absolute;
+      background: rgba(128, 128, 128, 0.12);
+    }
+    .tick {
+      position: absolute;
+      left: 0;
+      right: 0;
+      height: 3px;
+      margin-top: -1px;
+      pointer-events: auto;
+      cursor: pointer;
+      box-shadow: 0 0 0 0.5px rgba(0, 0, 0, 0.35);
+    }
+  `;
+
   /**
-   * Build a sorted list of all highlight ranges in the main document.
-   * Excludes iframe ranges since Range.compareBoundaryPoints throws across documents.
+   * Refresh the minimap shortly after highlights or the layout change
    */
-  function buildNavigationList()
+  function scheduleMinimapUpdate()
   {
-    pruneStaleRanges();
+    if (!showMinimap && !minimap) return;
 
-    // Save the current range to restore position after rebuild
-    const currentRange = (navCurrentIndex >= 0 && navCurrentIndex < navRanges.length)
-      ? navRanges[navCurrentIndex]
-      : null;
+    clearTimeout(minimapTimer);
+    minimapTimer = setTimeout(updateMinimap, MINIMAP_UPDATE_MS);
+  }
 
-    navRanges = [];
+  /**
+   * Draw a tick for each navigable highlight along the edge of the viewport,
+   * and along each inner scroll container that holds highlights
+   */
+  function updateMinimap()
+  {
+    buildNavigationList();
 
-    for (const rangeSet of rangeCache.values()) {
-      for (const range of rangeSet) {
-        // Only include ranges that are still connected to the main document
-        try {
-          if (range.startContainer.ownerDocument === document &&
-              range.startContainer.isConnected &&
-              range.toString().length > 0) {
-            navRanges.push(range);
-          }
-        } catch (e) {
-          // Range may have been detached, skip it
-        }
-      }
+    if (!showMinimap || !enabled || navRanges.length === 0) {
+      removeMinimap();
+      return;
+    }
+
+    if (!minimap) {
+      createMinimap();
     }
 
-    // Sort ranges in document order
-    navRanges.sort((a, b) =>
+    // Tick positions are fractions of each container's scroll height, so they only
+    // change with content or layout - scrolling just moves the gutters
+    const containerCache = new Map();
+    const gutters = new Map();
+
+    navRanges.forEach(range =>
     {
-      try {
-        return a.compareBoundaryPoints(Range.START_TO_START, b);
-      } catch (e) {
-        return 0;
+      // Iframe highlights scroll with their iframe, not this document
+      if (range.startContainer.ownerDocument !== document) return;
+
+      const rule = rangeRules.get(range);
+      const rect = range.getBoundingClientRect();
+      if (!rule || (rect.width === 0 && rect.height === 0)) return; // Hidden text
+
+      const container = getScrollContainer(range.startContainer, containerCache);
+      const fraction = getScrollFraction(container, rect);
+
+      if (!gutters.has(container)) {
+        gutters.set(container, new Map());
+      }
+
+      // One tick per pixel row and colour is enough, even on 10,000-line pages
+      const ticks = gutters.get(container);
+      const key = `${Math.round(fraction * 1000)}|${rule.colour}`;
+      if (!ticks.has(key)) {
+        ticks.set(key, { fraction, colour: rule.colour, range });
       }
     });
 
-    // Restore position if the current range still exists in the new list
-    if (currentRange) {
-      const restoredIndex = navRanges.indexOf(currentRange);
-      navCurrentIndex = restoredIndex >= 0 ? restoredIndex : -1;
-    } else {
-      navCurrentIndex = -1;
-    }
+    minimap.ranges = new WeakMap();
+    minimap.gutters = [...gutters.entries()].map(([container, ticks]) =>
+    {
+      const gutter = document.createElement('div');
+      gutter.className = 'gutter';
 
-    navDirty = false;
+      ticks.forEach(({ fraction, colour, range }) =>
+      {
+        const tick = document.createElement('div');
+        tick.className = 'tick';
+        tick.style.top = `${(fraction * 100).toFixed(3)}%`;
+        tick.style.background = colour;
+        minimap.ranges.set(tick, range);
+        gutter.appendChild(tick);
+      });
+
+      return { container, element: gutter };
+    });
+
+    minimap.layer.replaceChildren(...minimap.gutters.map(gutter => gutter.element));
+    positionMinimapGutters();
   }
 
   /**
-   * Navigate to the next or previous highlight
-   * @param {'next'|'prev'} direction
-   * @returns {{ index: number, total: number }} 1-based index and total count
+   * Create the minimap layer: a closed shadow root covering the viewport that only
+   * takes pointer events on the ticks themselves
    */
-  function navigateHighlight(direction)
+  function createMinimap()
   {
-    // Always rebuild to prune stale ranges and get accurate count
-    buildNavigationList();
-
-    if (navRanges.length === 0) {
-      return { index: 0, total: 0, text: '' };
-    }
-
-    if (direction === 'next') {
-      navCurrentIndex = (navCurrentIndex + 1) % navRanges.length;
-    } else {
-      navCurrentIndex = (navCurrentIndex - 1 + navRanges.length) % navRanges.length;
-    }
+    const host = document.createElement('live-highlighter-minimap');
+    host.style.cssText = 'all: initial !important; position: fixed !important; inset: 0 !important; ' +
+      'pointer-events: none !important; z-index: 2147483646 !important;';
+
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = MINIMAP_STYLES;
+    const layer = document.createElement('div');
+    root.append(style, layer);
+
+    // Jump through the navigation machinery, so Prev/Next continue from the clicked highlight
+    layer.addEventListener('click', (event) =>
+    {
+      const range = minimap && minimap.ranges.get(event.target);
+      if (range) {
+        navigateToRange(range);
+        updateNavOverlay();
+      }
+    });
 
-    const range = navRanges[navCurrentIndex];
-    setActiveHighlight(range);
-    scrollToRange(range);
+    minimap = { host, layer, gutters: [], ranges: new WeakMap(), frame: 0 };
+    document.documentElement.appendChild(host);
 
-    return { index: navCurrentIndex + 1, total: navRanges.length, text: range.toString() };
+    window.addEventListener('resize', scheduleMinimapUpdate);
+    document.addEventListener('scroll', handleMinimapScroll, { passive: true, capture: true });
   }
 
   /**
-   * Set the active (focused) highlight for navigation
-   * @param {Range} range - The range to highlight as active
+   * Remove the minimap and its listeners
    */
-  function setActiveHighlight(range)
+  function removeMinimap()
   {
-    try {
-      CSS.highlights.delete(ACTIVE_HIGHLIGHT_NAME);
-      const highlight = new Highlight(range);
-      highlight.priority = 1000; // Paint on top of regular highlights
-      CSS.highlights.set(ACTIVE_HIGHLIGHT_NAME, highlight);
-    } catch (e) {
-      console.debug('Live Highlighter: Failed to set active highlight', e);
-    }
+    if (!minimap) return;
+
+    cancelAnimationFrame(minimap.frame);
+    minimap.host.remove();
+    minimap = null;
+
+    window.removeEventListener('resize', scheduleMinimapUpdate);
+    document.removeEventListener('scroll', handleMinimapScroll, { capture: true });
   }
 
   /**
-   * Check if an element is within the visible viewport
-   * @param {Element} el
-   * @returns {boolean}
+   * Keep inner containers' gutters lined up with their containers while the page scrolls
    */
-  function isElementInViewport(el)
+  function handleMinimapScroll()
   {
-    const rect = el.getBoundingClientRect();
-    return (
-      rect.top >= 0 &&
-      rect.bottom <= (window.innerHeight || document.documentElement.clientHeight)
-    );
+    if (!minimap || minimap.frame) return;
+
+    minimap.frame = requestAnimationFrame(() =>
+    {
+      if (!minimap) return;
+      minimap.frame = 0;
+      positionMinimapGutters();
+    });
   }
 
   /**
-   * Scroll the page to bring the given range into view, centered vertically
-   * Uses the parent element's scrollIntoView which handles nested scroll containers
-   * Sets navScrolling flag to suppress scroll handler during the animation
-   * @param {Range} range
+   * Place each gutter along the right edge of its container, inside the scrollbar
    */
-  function scrollToRange(range)
+  function positionMinimapGutters()
   {
-    try {
-      const node = range.startContainer;
-      if (!node.isConnected) return;
+    const root = document.scrollingElement || document.documentElement;
 
-      const el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
-      if (el && el.scrollIntoView) {
-        // Only set navScrolling if the element actually needs scrolling
-        if (!isElementInViewport(el)) {
-          navScrolling = true;
-          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          // Clear flag after smooth scroll completes (~500ms is typical)
-          setTimeout(() => { navScrolling = false; }, 600);
-        }
+    minimap.gutters.forEach(({ container, element }) =>
+    {
+      let left, top, height;
+
+      if (container === root) {
+        left = root.clientWidth - MINIMAP_WIDTH_PX;
+        top = 0;
+        height = window.innerHeight;
+      } else if (container.isConnected) {
+        const rect = container.getBoundingClientRect();
+        left = rect.left + container.clientLeft + container.clientWidth - MINIMAP_WIDTH_PX;
+        top = rect.top + container.clientTop;
+        height = container.clientHeight;
+      } else {
+        element.style.display = 'none';
+        return;
       }
-    } catch (e) {
-      navScrolling = false;
-      console.debug('Live Highlighter: Failed to scroll to range', e);
-    }
+
+      element.style.display = '';
+      element.style.left = `${left}px`;
+      element.style.top = `${top}px`;
+      element.style.width = `${MINIMAP_WIDTH_PX}px`;
+      element.style.height = `${height}px`;
+    });
   }
 
   /**
-   * Get current navigation state
-   * @returns {{ index: number, total: number }}
+   * Find the element that scrolls a node: the nearest ancestor with scrollable overflow,
+   * or the document's scrolling element
+   * @param {Node} node - Start node of a range
+   * @param {Map<Element, Element>} cache - Element to container lookups from this update
+   * @returns {Element} Scroll container
    */
-  function getNavigationState()
+  function getScrollContainer(node, cache)
   {
-    // Always rebuild to prune stale ranges and get accurate count
-    buildNavigationList();
-    return {
-      index: navCurrentIndex >= 0 ? navCurrentIndex + 1 : 0,
-      total: navRanges.length,
-      text: navCurrentIndex >= 0 ? navRanges[navCurrentIndex].toString() : ''
-    };
+    const root = document.scrollingElement || document.documentElement;
+    const visited = [];
+    let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    let container = root;
+
+    while (element && element !== root && element !== document.body) {
+      if (cache.has(element)) {
+        container = cache.get(element);
+        break;
+      }
+
+      visited.push(element);
+      if (/(auto|scroll|overlay)/.test(getComputedStyle(element).overflowY) &&
+          element.scrollHeight > element.clientHeight) {
+        container = element;
+        break;
+      }
+
+      // Step out of shadow roots to their host
+      element = element.parentElement || element.getRootNode().host;
+    }
+
+    visited.forEach(visitedElement => cache.set(visitedElement, container));
+    return container;
   }
 
   /**
-   * Clear navigation state
+   * Get how far down its scroll container a highlight sits
+   * @param {Element} container - Scroll container (or the document's scrolling element)
+   * @param {DOMRect} rect - Highlight's client rect
+   * @returns {number} Fraction between 0 and 1
    */
-  function clearNavigation()
+  function getScrollFraction(container, rect)
   {
-    navRanges = [];
-    navCurrentIndex = -1;
-    navDirty = false;
-    navScrolling = false;
-    try {
-      CSS.highlights.delete(ACTIVE_HIGHLIGHT_NAME);
-    } catch (e) {
-      // Ignore - highlights may already be cleared
-    }
+    const root = document.scrollingElement || document.documentElement;
+    const offset = container === root
+      ? rect.top + window.scrollY
+      : rect.top - container.getBoundingClientRect().top - container.clientTop + container.scrollTop;
+
+    return Math.min(1, Math.max(0, offset / Math.max(container.scrollHeight, 1)));
   }
 
   // ============================================================================
@@ -957,6 +2947,7 @@
 
         case 'NAVIGATE_HIGHLIGHT':
           const navResult = navigateHighlight(message.direction);
+          updateNavOverlay();
           sendResponse({ success: true, ...navResult });
           break;
 
@@ -965,6 +2956,76 @@
           sendResponse({ success: true, ...navState });
           break;
 
+        case 'GET_FRAME_NAVIGATION':
+          sendResponse({ success: true, ...getFrameNavigationState() });
+          break;
+
+        case 'NAVIGATE_FRAME':
+          // Cross-frame navigation landed in this frame (see src/background/frame-navigation.js)
+          sendResponse({ success: true, ...navigateToIndex(message.index) });
+          break;
+
+        case 'SHOW_ALERT_MATCH':
+          // An alert notification raised by this frame was clicked
+          sendResponse({ success: true, ...showAlertMatch(message.alertId) });
+          break;
+
+        case 'CLEAR_FRAME_NAVIGATION':
+          // Another frame now has the active highlight
+          navCurrentIndex = -1;
+          clearActiveHighlight();
+          sendResponse({ success: true });
+          break;
+
+        case 'SET_NAVIGATION_FILTER':
+          applyNavigationFilter(message.hiddenGroupIds || [], message.watching === true);
+          sendResponse({ success: true });
+          break;
+
+        case 'SET_NAVIGATION_RESTRICTION':
+          applyNavigationRestriction(message.restriction);
+          sendResponse({ success: true });
+          break;
+
+        case 'TAB_NAVIGATION_CHANGED':
+          // Sent to the top frame when a child frame's highlights change
+          scheduleNavOverlayUpdate();
+          sendResponse({ success: true });
+          break;
+
+        case 'TOGGLE_NAVIGATOR':
+          // Sent to the top frame only - the navigator steps through every frame via the service worker
+          if (navOverlay) {
+            closeNavOverlay();
+          } else {
+            openNavOverlay();
+          }
+          sendResponse({ success: true, open: !!navOverlay });
+          break;
+
+        case 'SET_PAUSED':
+          // Pause or resume this tab until reload (sent to every frame)
+          paused = message.paused === true;
+          updateEnabledState();
+          refreshHighlights();
+          if (enabled && rules.length > 0) {
+            startObserving();
+          }
+          sendResponse({ success: true, paused });
+          break;
+
+        case 'GET_PAUSED':
+          sendResponse({ success: true, paused });
+          break;
+
+        case 'TAB_URL_CHANGED':
+          // The top frame follows its own URL (see setupUrlChangeListener)
+          if (window.self !== window.top && typeof message.url === 'string') {
+            applyTabUrl(message.url);
+          }
+          sendResponse({ success: true });
+          break;
+
         default:
           console.warn('Live Highlighter: Unknown message type', message.type);
       }
@@ -981,19 +3042,46 @@
   {
     let needsRefresh = false;
 
-    if (changes.groups) {
+    // Frames check site settings and profiles against the tab's URL as it is now
+    if (window.self !== window.top &&
+        (changes.groups || changes.profiles || changes.activeProfileId || changes.enabled || changes.siteSettings)) {
+      tabUrl = await getTabUrl();
+    }
+
+    // Switching profile swaps the rules in place, like any other group change
+    if (changes.groups || changes.profiles || changes.activeProfileId) {
       groups = await Storage.getGroups();
-      rules = flattenGroupsToRules(groups);
+      profiles = await Storage.getProfiles();
+      activeProfileId = await Storage.getActiveProfileId();
+      updateRules();
+      injectStylesIntoDocument(document);  // Register any new custom colours
       needsRefresh = true;
     }
 
     if (changes.enabled) {
-      enabled = await Storage.getEnabled();
+      globalEnabled = await Storage.getEnabled();
       needsRefresh = true;
     }
 
+    if (changes.siteSettings) {
+      siteSettings = await Storage.getSiteSettings();
+      needsRefresh = true;
+    }
+
+    if (changes.showMinimap) {
+      showMinimap = await Storage.getShowMinimap();
+      scheduleMinimapUpdate();
+    }
+
+    updateEnabledState();
+
     if (needsRefresh) {
       refreshHighlights();
+
+      // Rules may have become available for the first time on this page
+      if (enabled && rules.length > 0) {
+        startObserving();
+      }
     }
   }
 
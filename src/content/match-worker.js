@@ -0,0 +1,73 @@
+// Live Highlighter - Match Worker
+
+/**
+ * Matches text runs off the page's main thread. The content script builds this worker from
+ * src/shared/constants.js, src/shared/matcher.js and this file (see createMatchWorker in
+ * content.js), then sends:
+ *
+ *   { type: 'rules', rulesId, rules }        Compile a rule set (rules in priority order)
+ *   { type: 'dropRules', rulesId }           Forget a rule set that is no longer used
+ *   { type: 'match', batchId, runs: [{ rulesId, text, nodeOffsets, lang }] }
+ *
+ * and gets back:
+ *
+ *   { type: 'ready' }                        Once, when the worker has started
+ *   { type: 'matches', batchId, results }    One array per run: [start, end, ruleIndex, start, end, ...]
+ *                                            with ruleIndex into the run's rule set
+ */
+
+(function ()
+{
+  'use strict';
+
+  const { Matcher } = LiveHighlighter;
+
+  // Compiled rule sets: Map<rulesId, {matcher, ruleIndexes: Map<rule, number>}>
+  const ruleSets = new Map();
+
+  /**
+   * Find the matches of one run as a flat array of [start, end, ruleIndex] triples
+   * @param {{rulesId: number, text: string, nodeOffsets: Array<number>, lang: string}} run
+   * @returns {Array<number>}
+   */
+  function matchRun(run)
+  {
+    const ruleSet = ruleSets.get(run.rulesId);
+    if (!ruleSet) return [];
+
+    const flat = [];
+    Matcher.findRunMatches(ruleSet.matcher, run.text, run.nodeOffsets, run.lang).forEach(match =>
+    {
+      flat.push(match.start, match.end, ruleSet.ruleIndexes.get(match.rule));
+    });
+    return flat;
+  }
+
+  self.addEventListener('message', (event) =>
+  {
+    const message = event.data;
+
+    switch (message.type) {
+      case 'rules':
+        ruleSets.set(message.rulesId, {
+          matcher: Matcher.compile(message.rules),
+          ruleIndexes: new Map(message.rules.map((rule, index) => [rule, index]))
+        });
+        break;
+
+      case 'dropRules':
+        ruleSets.delete(message.rulesId);
+        break;
+
+      case 'match':
+        self.postMessage({
+          type: 'matches',
+          batchId: message.batchId,
+          results: message.runs.map(matchRun)
+        });
+        break;
+    }
+  });
+
+  self.postMessage({ type: 'ready' });
+})();
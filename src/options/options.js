@@ -5,7 +5,8 @@
   'use strict';
 
   // Access namespace
-  const { Storage, PRESET_COLOURS, MAX_GROUPS, MAX_WORDS_PER_GROUP, MAX_TOTAL_WORDS, NOTIFICATION_TIMEOUT_MS, i18n } = LiveHighlighter;
+  const { Storage, UrlPatterns, Sync, ImportExport, PRESET_COLOURS, MAX_GROUPS, MAX_WORDS_PER_GROUP, MAX_TOTAL_WORDS,
+    MAX_URL_PATTERNS_PER_GROUP, MAX_SITE_ENTRIES, MAX_PROFILES, NOTIFICATION_TIMEOUT_MS, i18n } = LiveHighlighter;
 
   // Helper for translated messages
   const msg = (key, substitutions) => i18n.getMessage(key, substitutions);
@@ -21,12 +22,32 @@
   let globalToggle;
   let groupTemplate;
   let wordChipTemplate;
+  let allowlistModeCheckbox;
+  let addAllowedSiteInput;
+  let syncEnabledCheckbox;
+  let syncStatusDiv;
+  let showMinimapCheckbox;
+  let showBadgeCheckbox;
+  let badgeGroupColourCheckbox;
+  let quietHoursCheckbox;
+  let quietHoursStartInput;
+  let quietHoursEndInput;
+  let importFileInput;
+  let importPreview;
+  let importSummary;
+  let profileSelect;
+  let profileUrlsInput;
 
   // State
-  let groups = [];
+  let groups = [];   // Groups of the active profile
+  let profiles = [];
+  let activeProfileId = null;
+  let siteSettings = null;
+  let pendingImport = null; // Parsed import file awaiting confirmation
   let draggedElement = null;
   let dragOverElement = null;
   let expandedGroupIds = new Set(); // Track which groups are expanded
+  let historyBusy = false; // An undo/redo is in progress
 
   // ============================================================================
   // Initialization
@@ -50,22 +71,75 @@
     globalToggle = document.getElementById('globalToggle');
     groupTemplate = document.getElementById('groupTemplate');
     wordChipTemplate = document.getElementById('wordChipTemplate');
+    allowlistModeCheckbox = document.getElementById('allowlistModeCheckbox');
+    addAllowedSiteInput = document.getElementById('addAllowedSiteInput');
+    syncEnabledCheckbox = document.getElementById('syncEnabledCheckbox');
+    syncStatusDiv = document.getElementById('syncStatus');
+    showMinimapCheckbox = document.getElementById('showMinimapCheckbox');
+    showBadgeCheckbox = document.getElementById('showBadgeCheckbox');
+    badgeGroupColourCheckbox = document.getElementById('badgeGroupColourCheckbox');
+    quietHoursCheckbox = document.getElementById('quietHoursCheckbox');
+    quietHoursStartInput = document.getElementById('quietHoursStartInput');
+    quietHoursEndInput = document.getElementById('quietHoursEndInput');
+    importFileInput = document.getElementById('importFileInput');
+    importPreview = document.getElementById('importPreview');
+    importSummary = document.getElementById('importSummary');
+    profileSelect = document.getElementById('profileSelect');
+    profileUrlsInput = document.getElementById('profileUrlsInput');
 
     // Set max limits
     maxGroupsSpan.textContent = MAX_GROUPS;
     maxTotalWordsSpan.textContent = MAX_TOTAL_WORDS;
 
     // Load current state
+    await loadProfiles();
     await loadGroups();
     await loadGlobalEnabled();
+    await loadSiteSettings();
+    await loadDisplaySettings();
+    await loadQuietHours();
+    await loadSyncState();
 
     // Set up event listeners
+    profileSelect.addEventListener('change', handleProfileSwitch);
+    document.getElementById('newProfileBtn').addEventListener('click', handleNewProfile);
+    document.getElementById('duplicateProfileBtn').addEventListener('click', handleDuplicateProfile);
+    document.getElementById('renameProfileBtn').addEventListener('click', handleRenameProfile);
+    document.getElementById('deleteProfileBtn').addEventListener('click', handleDeleteProfile);
+    profileUrlsInput.addEventListener('blur', handleProfileUrlsChange);
     addGroupBtn.addEventListener('click', handleAddGroup);
     globalToggle.addEventListener('click', handleGlobalToggle);
+    allowlistModeCheckbox.addEventListener('change', handleAllowlistModeChange);
+    document.getElementById('addAllowedSiteBtn').addEventListener('click', handleAddAllowedSite);
+    addAllowedSiteInput.addEventListener('keypress', (e) =>
+    {
+      if (e.key === 'Enter') {
+        handleAddAllowedSite();
+      }
+    });
+    showMinimapCheckbox.addEventListener('change', handleShowMinimapToggle);
+    showBadgeCheckbox.addEventListener('change', handleBadgeSettingsChange);
+    badgeGroupColourCheckbox.addEventListener('change', handleBadgeSettingsChange);
+    quietHoursCheckbox.addEventListener('change', handleQuietHoursChange);
+    quietHoursStartInput.addEventListener('change', handleQuietHoursChange);
+    quietHoursEndInput.addEventListener('change', handleQuietHoursChange);
+    syncEnabledCheckbox.addEventListener('change', handleSyncToggle);
+    document.getElementById('exportBtn').addEventListener('click', handleExport);
+    document.getElementById('importBtn').addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImportFileSelected);
+    document.querySelectorAll('input[name="importMode"]').forEach(radio =>
+    {
+      radio.addEventListener('change', renderImportPreview);
+    });
+    document.getElementById('applyImportBtn').addEventListener('click', handleApplyImport);
+    document.getElementById('cancelImportBtn').addEventListener('click', closeImportPreview);
 
     // Listen for storage changes from other tabs
     Storage.onStorageChanged(handleStorageChange);
 
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo group edits
+    document.addEventListener('keydown', handleHistoryShortcut);
+
     // Single document-level listener to close color dropdowns when clicking outside
     document.addEventListener('click', (e) =>
     {
@@ -86,10 +160,37 @@
 
   async function loadGroups()
   {
-    groups = await Storage.getGroups();
+    groups = await Storage.getActiveProfileGroups();
     renderGroups();
   }
 
+  async function loadProfiles()
+  {
+    profiles = await Storage.getProfiles();
+    activeProfileId = await Storage.getActiveProfileId();
+    renderProfiles();
+  }
+
+  function renderProfiles()
+  {
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile =>
+    {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = activeProfileId;
+
+    const activeProfile = profiles.find(p => p.id === activeProfileId);
+    profileUrlsInput.value = activeProfile ? activeProfile.urlPatterns.join('\n') : '';
+
+    document.getElementById('newProfileBtn').disabled = profiles.length >= MAX_PROFILES;
+    document.getElementById('duplicateProfileBtn').disabled = profiles.length >= MAX_PROFILES;
+    document.getElementById('deleteProfileBtn').disabled = profiles.length <= 1;
+  }
+
   async function loadGlobalEnabled()
   {
     const enabled = await Storage.getEnabled();
@@ -101,6 +202,85 @@
     }
   }
 
+  async function loadSiteSettings()
+  {
+    siteSettings = await Storage.getSiteSettings();
+    renderSiteSettings();
+  }
+
+  async function loadDisplaySettings()
+  {
+    showMinimapCheckbox.checked = await Storage.getShowMinimap();
+
+    const badgeSettings = await Storage.getBadgeSettings();
+    showBadgeCheckbox.checked = badgeSettings.showBadge;
+    badgeGroupColourCheckbox.checked = badgeSettings.badgeGroupColour;
+    badgeGroupColourCheckbox.disabled = !badgeSettings.showBadge;
+  }
+
+  async function loadQuietHours()
+  {
+    const quietHours = await Storage.getQuietHours();
+    quietHoursCheckbox.checked = quietHours.enabled;
+    quietHoursStartInput.value = quietHours.start;
+    quietHoursEndInput.value = quietHours.end;
+    quietHoursStartInput.disabled = !quietHours.enabled;
+    quietHoursEndInput.disabled = !quietHours.enabled;
+  }
+
+  async function loadSyncState()
+  {
+    syncEnabledCheckbox.checked = await Sync.isSyncEnabled();
+    const status = await Sync.getSyncStatus();
+
+    syncStatusDiv.classList.remove('error');
+    if (!syncEnabledCheckbox.checked) {
+      syncStatusDiv.textContent = msg('syncStatusOff');
+    } else if (!status) {
+      syncStatusDiv.textContent = msg('syncStatusPending');
+    } else if (status.error === 'quota') {
+      syncStatusDiv.textContent = msg('syncStatusQuota');
+      syncStatusDiv.classList.add('error');
+    } else if (status.error) {
+      syncStatusDiv.textContent = msg('syncStatusFailed');
+      syncStatusDiv.classList.add('error');
+    } else {
+      syncStatusDiv.textContent = msg('syncStatusLast', [new Date(status.lastSyncAt).toLocaleString()]);
+    }
+  }
+
+  function renderSiteSettings()
+  {
+    allowlistModeCheckbox.checked = siteSettings.allowlistMode;
+
+    document.querySelectorAll('.site-list').forEach(listElement =>
+    {
+      const listName = listElement.dataset.list;
+      listElement.innerHTML = '';
+      siteSettings[listName].forEach(entry =>
+      {
+        listElement.appendChild(createSiteChip(listName, entry));
+      });
+    });
+  }
+
+  function createSiteChip(listName, entry)
+  {
+    const chipElement = wordChipTemplate.content.cloneNode(true);
+    const chip = chipElement.querySelector('.word-chip');
+    chip.dataset.word = entry;
+
+    const text = chip.querySelector('.word-text');
+    text.textContent = entry;
+    text.title = entry;
+
+    const removeBtn = chip.querySelector('.remove-word-btn');
+    removeBtn.title = msg('removeSite');
+    removeBtn.addEventListener('click', () => handleRemoveSiteEntry(listName, entry));
+
+    return chipElement;
+  }
+
   function renderGroups()
   {
     // Clear current list
@@ -268,6 +448,9 @@
     // Render words
     renderWords(groupItem, group);
 
+    // Page scope (include/exclude URL patterns)
+    setupUrlScope(groupItem, group);
+
     // Delete button
     const deleteBtn = groupItem.querySelector('.delete-group-btn');
     deleteBtn.addEventListener('click', () => handleDeleteGroup(group.id));
@@ -328,6 +511,34 @@
       colorDropdown.appendChild(colorOption);
     });
 
+    // Custom colour option (native colour picker inside a label so the whole row opens it)
+    const isCustomColour = !PRESET_COLOURS.some(p => p.hex.toUpperCase() === group.colour.toUpperCase());
+
+    const customOption = document.createElement('label');
+    customOption.className = 'color-option custom-color-option';
+    if (isCustomColour) {
+      customOption.classList.add('selected');
+    }
+
+    const customInput = document.createElement('input');
+    customInput.type = 'color';
+    customInput.className = 'color-swatch custom-color-input';
+    customInput.value = toColorInputValue(isCustomColour ? group.colour : '#FFFFFF');
+
+    const customName = document.createElement('span');
+    customName.textContent = msg('customColor');
+
+    customOption.appendChild(customInput);
+    customOption.appendChild(customName);
+
+    customInput.addEventListener('change', async () =>
+    {
+      await handleGroupColorChange(group.id, customInput.value.toUpperCase());
+      colorDropdown.classList.remove('show');
+    });
+
+    colorDropdown.appendChild(customOption);
+
     // Toggle dropdown
     colorButton.addEventListener('click', (e) =>
     {
@@ -355,21 +566,27 @@
     });
   }
 
+  /**
+   * Convert a stored hex colour to the #rrggbb form required by <input type="color">
+   * @param {string} hex - #RGB, #RRGGBB or #RRGGBBAA
+   * @returns {string}
+   */
+  function toColorInputValue(hex)
+  {
+    let digits = hex.slice(1);
+    if (digits.length === 3) {
+      digits = digits.split('').map(c => c + c).join('');
+    }
+    return `#${digits.slice(0, 6).toLowerCase()}`;
+  }
+
   // ============================================================================
   // Word Rendering
   // ============================================================================
 
   function renderWords(groupElement, group)
   {
-    const wordsList = groupElement.querySelector('.words-list');
-    wordsList.innerHTML = '';
-
-    // Render each word as a chip
-    group.words.forEach(word =>
-    {
-      const wordChip = createWordChip(group.id, word);
-      wordsList.appendChild(wordChip);
-    });
+    renderWordChips(groupElement, group);
 
     // Setup add word input
     const addWordInput = groupElement.querySelector('.add-word-input');
@@ -420,18 +637,28 @@
     const useRegexCheckbox = groupElement.querySelector('.use-regex-checkbox');
     const matchWholeWordCheckbox = groupElement.querySelector('.match-whole-word-checkbox');
     const caseSensitiveCheckbox = groupElement.querySelector('.case-sensitive-checkbox');
+    const ignoreAccentsCheckbox = groupElement.querySelector('.ignore-accents-checkbox');
+    const matchAcrossElementsCheckbox = groupElement.querySelector('.match-across-elements-checkbox');
+    const alertCheckbox = groupElement.querySelector('.alert-checkbox');
 
     // Set initial checkbox state (default to false for backward compatibility)
-    useRegexCheckbox.checked = group.useRegex || false;
-    matchWholeWordCheckbox.checked = group.matchWholeWord || false;
-    caseSensitiveCheckbox.checked = group.caseSensitive || false;
+    useRegexCheckbox.checked = group.useRegex;
+    matchWholeWordCheckbox.checked = group.matchWholeWord;
+    caseSensitiveCheckbox.checked = group.caseSensitive;
+    ignoreAccentsCheckbox.checked = group.ignoreAccents;
+    matchAcrossElementsCheckbox.checked = group.matchAcrossElements;
+    alertCheckbox.checked = group.alert;
 
-    // If regex is enabled, disable the other two checkboxes
+    // Options a regex handles itself - disabled while regex is on
+    const wordOnlyCheckboxes = [matchWholeWordCheckbox, caseSensitiveCheckbox, ignoreAccentsCheckbox];
+
+    // If regex is enabled, disable the word-only checkboxes
     if (group.useRegex) {
-      matchWholeWordCheckbox.disabled = true;
-      caseSensitiveCheckbox.disabled = true;
-      matchWholeWordCheckbox.closest('.match-option').classList.add('disabled');
-      caseSensitiveCheckbox.closest('.match-option').classList.add('disabled');
+      wordOnlyCheckboxes.forEach(checkbox =>
+      {
+        checkbox.disabled = true;
+        checkbox.closest('.match-option').classList.add('disabled');
+      });
     }
 
     // Handle regex checkbox changes
@@ -440,12 +667,16 @@
       const isRegex = useRegexCheckbox.checked;
       await handleMatchOptionChange(group.id, 'useRegex', isRegex);
 
+      // Words are checked as patterns only in regex groups
+      renderWordChips(groupElement, group);
+
       if (isRegex) {
-        // Disable and uncheck the other two options
-        matchWholeWordCheckbox.disabled = true;
-        caseSensitiveCheckbox.disabled = true;
-        matchWholeWordCheckbox.closest('.match-option').classList.add('disabled');
-        caseSensitiveCheckbox.closest('.match-option').classList.add('disabled');
+        // Disable and uncheck the word-only options
+        wordOnlyCheckboxes.forEach(checkbox =>
+        {
+          checkbox.disabled = true;
+          checkbox.closest('.match-option').classList.add('disabled');
+        });
 
         if (matchWholeWordCheckbox.checked) {
           matchWholeWordCheckbox.checked = false;
@@ -455,12 +686,17 @@
           caseSensitiveCheckbox.checked = false;
           await handleMatchOptionChange(group.id, 'caseSensitive', false);
         }
+        if (ignoreAccentsCheckbox.checked) {
+          ignoreAccentsCheckbox.checked = false;
+          await handleMatchOptionChange(group.id, 'ignoreAccents', false);
+        }
       } else {
-        // Re-enable the other two options
-        matchWholeWordCheckbox.disabled = false;
-        caseSensitiveCheckbox.disabled = false;
-        matchWholeWordCheckbox.closest('.match-option').classList.remove('disabled');
-        caseSensitiveCheckbox.closest('.match-option').classList.remove('disabled');
+        // Re-enable the word-only options
+        wordOnlyCheckboxes.forEach(checkbox =>
+        {
+          checkbox.disabled = false;
+          checkbox.closest('.match-option').classList.remove('disabled');
+        });
       }
     });
 
@@ -474,9 +710,50 @@
     {
       await handleMatchOptionChange(group.id, 'caseSensitive', caseSensitiveCheckbox.checked);
     });
+
+    ignoreAccentsCheckbox.addEventListener('change', async () =>
+    {
+      await handleMatchOptionChange(group.id, 'ignoreAccents', ignoreAccentsCheckbox.checked);
+    });
+
+    matchAcrossElementsCheckbox.addEventListener('change', async () =>
+    {
+      await handleMatchOptionChange(group.id, 'matchAcrossElements', matchAcrossElementsCheckbox.checked);
+    });
+
+    alertCheckbox.addEventListener('change', async () =>
+    {
+      await handleMatchOptionChange(group.id, 'alert', alertCheckbox.checked);
+    });
+  }
+
+  function setupUrlScope(groupElement, group)
+  {
+    const includeInput = groupElement.querySelector('.include-urls-input');
+    const excludeInput = groupElement.querySelector('.exclude-urls-input');
+
+    includeInput.value = group.includeUrls.join('\n');
+    excludeInput.value = group.excludeUrls.join('\n');
+
+    // Save on blur, like the group name
+    includeInput.addEventListener('blur', () => handleUrlScopeChange(group.id, 'includeUrls', includeInput.value));
+    excludeInput.addEventListener('blur', () => handleUrlScopeChange(group.id, 'excludeUrls', excludeInput.value));
   }
 
-  function createWordChip(groupId, word)
+  function renderWordChips(groupElement, group)
+  {
+    const wordsList = groupElement.querySelector('.words-list');
+    wordsList.innerHTML = '';
+
+    // Render each word as a chip
+    group.words.forEach(word =>
+    {
+      const wordChip = createWordChip(group, word);
+      wordsList.appendChild(wordChip);
+    });
+  }
+
+  function createWordChip(group, word)
   {
     const template = wordChipTemplate.content.cloneNode(true);
     const chip = template.querySelector('.word-chip');
@@ -487,12 +764,165 @@
     chip.dataset.word = word;
     chip.querySelector('.word-text').textContent = word;
 
+    // Patterns saved before they were validated (or before the group became a regex group) are
+    // skipped when matching - say so on the chip
+    const regexError = group.useRegex ? Storage.getRegexError(word) : null;
+    if (regexError) {
+      chip.classList.add('invalid');
+      chip.title = regexError;
+      chip.querySelector('.word-error').hidden = false;
+    }
+
     const removeBtn = chip.querySelector('.remove-word-btn');
-    removeBtn.addEventListener('click', () => handleRemoveWord(groupId, word));
+    removeBtn.addEventListener('click', () => handleRemoveWord(group.id, word));
 
     return chip;
   }
 
+  // ============================================================================
+  // Event Handlers - Profiles
+  // ============================================================================
+
+  async function handleProfileSwitch()
+  {
+    const success = await Storage.setActiveProfile(profileSelect.value);
+    if (!success) {
+      showNotification(msg('notifFailedSaveProfile'), 'error');
+    }
+    await loadProfiles();
+    await loadGroups();
+  }
+
+  /**
+   * Ask for a profile name
+   * @param {string} defaultName - Name to suggest
+   * @returns {string|null} Trimmed name, or null if cancelled or invalid (invalid names are reported)
+   */
+  function promptProfileName(defaultName)
+  {
+    const name = prompt(msg('promptProfileName'), defaultName);
+    if (name === null) return null;
+
+    if (!Storage.isValidGroupName(name)) {
+      showNotification(msg('notifInvalidProfileName'), 'error');
+      return null;
+    }
+
+    return name.trim();
+  }
+
+  async function handleNewProfile()
+  {
+    if (profiles.length >= MAX_PROFILES) {
+      showNotification(msg('notifMaxProfilesReached', [MAX_PROFILES.toString()]), 'error');
+      return;
+    }
+
+    const name = promptProfileName(msg('defaultProfileName', [(profiles.length + 1).toString()]));
+    if (!name) return;
+
+    const profile = await Storage.createProfile(name);
+    if (profile && await Storage.setActiveProfile(profile.id)) {
+      await loadProfiles();
+      await loadGroups();
+      showNotification(msg('notifProfileCreated', [profile.name]), 'success');
+    } else {
+      showNotification(msg('notifFailedSaveProfile'), 'error');
+    }
+  }
+
+  async function handleDuplicateProfile()
+  {
+    if (profiles.length >= MAX_PROFILES) {
+      showNotification(msg('notifMaxProfilesReached', [MAX_PROFILES.toString()]), 'error');
+      return;
+    }
+
+    const source = profiles.find(p => p.id === activeProfileId);
+    if (!source) return;
+
+    const name = promptProfileName(msg('profileCopyName', [source.name]).slice(0, 50));
+    if (!name) return;
+
+    const profile = await Storage.duplicateProfile(source.id, name);
+    if (profile && await Storage.setActiveProfile(profile.id)) {
+      await loadProfiles();
+      await loadGroups();
+      showNotification(msg('notifProfileCreated', [profile.name]), 'success');
+    } else {
+      showNotification(msg('notifFailedSaveProfile'), 'error');
+    }
+  }
+
+  async function handleRenameProfile()
+  {
+    const profile = profiles.find(p => p.id === activeProfileId);
+    if (!profile) return;
+
+    const name = promptProfileName(profile.name);
+    if (!name || name === profile.name) return;
+
+    if (await Storage.renameProfile(profile.id, name)) {
+      await loadProfiles();
+    } else {
+      showNotification(msg('notifFailedSaveProfile'), 'error');
+    }
+  }
+
+  async function handleDeleteProfile()
+  {
+    const profile = profiles.find(p => p.id === activeProfileId);
+    if (!profile) return;
+
+    if (profiles.length <= 1) {
+      showNotification(msg('notifLastProfile'), 'error');
+      return;
+    }
+
+    if (confirm(msg('confirmDeleteProfile', [profile.name]))) {
+      const success = await Storage.deleteProfile(profile.id);
+      if (success) {
+        await loadProfiles();
+        await loadGroups();
+        showNotification(msg('notifProfileDeleted', [profile.name]), 'success', false, undoAction());
+      } else {
+        showNotification(msg('notifFailedSaveProfile'), 'error');
+      }
+    }
+  }
+
+  async function handleProfileUrlsChange()
+  {
+    const profile = profiles.find(p => p.id === activeProfileId);
+    if (!profile) return;
+
+    // One pattern per line, ignoring blanks and duplicates
+    const patterns = [...new Set(profileUrlsInput.value.split('\n').map(p => p.trim()).filter(p => p.length > 0))];
+
+    // Skip saving if nothing changed
+    if (patterns.length === profile.urlPatterns.length && patterns.every((p, i) => p === profile.urlPatterns[i])) {
+      return;
+    }
+
+    const invalidPatterns = patterns.filter(p => !UrlPatterns.isValidPattern(p));
+    if (invalidPatterns.length > 0) {
+      showNotification(msg('notifInvalidUrlPatterns', [invalidPatterns.join(', ')]), 'error');
+      return;
+    }
+
+    if (patterns.length > MAX_URL_PATTERNS_PER_GROUP) {
+      showNotification(msg('notifTooManyUrlPatterns', [MAX_URL_PATTERNS_PER_GROUP.toString()]), 'error');
+      return;
+    }
+
+    if (await Storage.setProfileUrlPatterns(profile.id, patterns)) {
+      profile.urlPatterns = patterns;
+    } else {
+      showNotification(msg('notifFailedSaveProfile'), 'error');
+      await loadProfiles();  // Revert
+    }
+  }
+
   // ============================================================================
   // Event Handlers - Groups
   // ============================================================================
@@ -548,7 +978,7 @@
       const success = await Storage.deleteGroup(groupId);
       if (success) {
         await loadGroups();
-        showNotification(msg('notifGroupDeleted'), 'success');
+        showNotification(msg('notifGroupDeleted'), 'success', false, undoAction());
       } else {
         showNotification(msg('notifFailedDeleteGroup'), 'error');
       }
@@ -586,7 +1016,7 @@
     const preset = PRESET_COLOURS.find(p => p.hex === newColor);
     const success = await Storage.updateGroup(groupId, {
       colour: newColor,
-      textColor: preset ? preset.textColor : '#000000'
+      textColor: preset ? preset.textColor : LiveHighlighter.getReadableTextColor(newColor)
     });
 
     if (success) {
@@ -640,6 +1070,41 @@
     }
   }
 
+  async function handleUrlScopeChange(groupId, field, input)
+  {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+
+    // One pattern per line, ignoring blanks and duplicates
+    const patterns = [...new Set(input.split('\n').map(p => p.trim()).filter(p => p.length > 0))];
+
+    // Skip saving if nothing changed
+    const current = group[field] || [];
+    if (patterns.length === current.length && patterns.every((p, i) => p === current[i])) {
+      return;
+    }
+
+    const invalidPatterns = patterns.filter(p => !UrlPatterns.isValidPattern(p));
+    if (invalidPatterns.length > 0) {
+      showNotification(msg('notifInvalidUrlPatterns', [invalidPatterns.join(', ')]), 'error');
+      return;
+    }
+
+    if (patterns.length > MAX_URL_PATTERNS_PER_GROUP) {
+      showNotification(msg('notifTooManyUrlPatterns', [MAX_URL_PATTERNS_PER_GROUP.toString()]), 'error');
+      return;
+    }
+
+    const success = await Storage.updateGroup(groupId, { [field]: patterns });
+    if (success) {
+      // Update local state
+      group[field] = patterns;
+    } else {
+      showNotification(msg('notifFailedUpdateScope'), 'error');
+      await loadGroups();  // Revert
+    }
+  }
+
   // ============================================================================
   // Event Handlers - Words
   // ============================================================================
@@ -658,11 +1123,19 @@
     }
 
     // Add each word
+    const group = groups.find(g => g.id === groupId);
     let successCount = 0;
     let failedWords = [];
     let skippedWords = [];
 
     for (const singleWord of words) {
+      // Regex groups only take valid patterns
+      const regexError = group && group.useRegex ? Storage.getRegexError(singleWord) : null;
+      if (regexError) {
+        showNotification(msg('notifInvalidRegex', [singleWord, regexError]), 'error');
+        continue;
+      }
+
       const canAdd = await Storage.canAddWord(groupId);
       if (!canAdd) {
         // Track remaining words as skipped
@@ -688,8 +1161,8 @@
     }
 
     if (skippedWords.length > 0) {
-      const group = groups.find(g => g.id === groupId);
-      if (group && group.words.length >= MAX_WORDS_PER_GROUP) {
+      const updatedGroup = groups.find(g => g.id === groupId);
+      if (updatedGroup && updatedGroup.words.length >= MAX_WORDS_PER_GROUP) {
         showNotification(msg('notifLimitReached', [skippedWords.join(', ')]), 'error');
       } else {
         showNotification(msg('notifTotalLimitReached', [skippedWords.join(', ')]), 'error');
@@ -702,6 +1175,7 @@
     const success = await Storage.removeWordFromGroup(groupId, word);
     if (success) {
       await loadGroups();
+      showNotification(msg('notifWordRemoved', [word]), 'success', false, undoAction());
     } else {
       showNotification(msg('notifFailedRemoveWord'), 'error');
     }
@@ -731,6 +1205,402 @@
     }
   }
 
+  // ============================================================================
+  // Event Handlers - Sites
+  // ============================================================================
+
+  async function handleAllowlistModeChange()
+  {
+    const success = await Storage.setAllowlistMode(allowlistModeCheckbox.checked);
+
+    if (!success) {
+      allowlistModeCheckbox.checked = !allowlistModeCheckbox.checked;
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+  }
+
+  async function handleAddAllowedSite()
+  {
+    const input = addAllowedSiteInput.value.trim();
+    if (!input) return;
+
+    // Accept a bare hostname or a full URL
+    const hostname = Storage.getSiteKey(input.includes('://') ? input : `https://${input}`);
+
+    if (!Storage.isValidHostname(hostname)) {
+      showNotification(msg('notifInvalidSite', [input]), 'error');
+      return;
+    }
+
+    if (siteSettings.allowedSites.includes(hostname)) {
+      addAllowedSiteInput.value = '';
+      return;
+    }
+
+    if (siteSettings.allowedSites.length >= MAX_SITE_ENTRIES) {
+      showNotification(msg('notifTooManySites', [MAX_SITE_ENTRIES]), 'error');
+      return;
+    }
+
+    const success = await Storage.setSiteAllowed(hostname, true);
+
+    if (success) {
+      addAllowedSiteInput.value = '';
+      await loadSiteSettings();
+    } else {
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+  }
+
+  async function handleRemoveSiteEntry(listName, entry)
+  {
+    let success;
+    if (listName === 'allowedSites') {
+      success = await Storage.setSiteAllowed(entry, false);
+    } else if (listName === 'disabledSites') {
+      success = await Storage.setSiteDisabled(entry, false);
+    } else {
+      success = await Storage.setPageDisabled(entry, false);
+    }
+
+    if (success) {
+      await loadSiteSettings();
+    } else {
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+  }
+
+  // ============================================================================
+  // Event Handlers - Display
+  // ============================================================================
+
+  async function handleShowMinimapToggle()
+  {
+    if (!await Storage.setShowMinimap(showMinimapCheckbox.checked)) {
+      showMinimapCheckbox.checked = !showMinimapCheckbox.checked;
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+  }
+
+  async function handleBadgeSettingsChange()
+  {
+    const saved = await Storage.setBadgeSettings({
+      showBadge: showBadgeCheckbox.checked,
+      badgeGroupColour: badgeGroupColourCheckbox.checked
+    });
+
+    if (!saved) {
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+    await loadDisplaySettings();
+  }
+
+  // ============================================================================
+  // Event Handlers - Alerts
+  // ============================================================================
+
+  async function handleQuietHoursChange()
+  {
+    // A cleared time input has an empty value - keep the saved time instead
+    const updates = { enabled: quietHoursCheckbox.checked };
+    if (quietHoursStartInput.value) updates.start = quietHoursStartInput.value;
+    if (quietHoursEndInput.value) updates.end = quietHoursEndInput.value;
+
+    if (!await Storage.setQuietHours(updates)) {
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+    await loadQuietHours();
+  }
+
+  // ============================================================================
+  // Event Handlers - Sync
+  // ============================================================================
+
+  async function handleSyncToggle()
+  {
+    const success = await Sync.setSyncEnabled(syncEnabledCheckbox.checked);
+
+    if (success) {
+      await loadSyncState();
+    } else {
+      syncEnabledCheckbox.checked = !syncEnabledCheckbox.checked;
+      showNotification(msg('notifFailedUpdateSetting'), 'error');
+    }
+  }
+
+  // ============================================================================
+  // Event Handlers - Import and Export
+  // ============================================================================
+
+  async function handleExport()
+  {
+    try {
+      const data = ImportExport.buildExport(
+        await Storage.getActiveProfileGroups(),
+        await Storage.getEnabled(),
+        await Storage.getSiteSettings()
+      );
+
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `live-highlighter-${data.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      showNotification(msg('notifExported', [data.groups.length]), 'success');
+    } catch (error) {
+      console.error('Live Highlighter: Error exporting', error);
+      showNotification(msg('notifExportFailed'), 'error');
+    }
+  }
+
+  async function handleImportFileSelected()
+  {
+    const file = importFileInput.files[0];
+    importFileInput.value = ''; // Allow selecting the same file again
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      showNotification(msg('notifImportNotJson'), 'error');
+      return;
+    }
+
+    const parsed = ImportExport.parseImport(data);
+    if (parsed.error) {
+      showNotification(parsed.error === 'newerVersion' ? msg('notifImportNewerVersion') : msg('notifImportNotConfig'), 'error');
+      return;
+    }
+
+    pendingImport = parsed;
+    document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+    await renderImportPreview();
+    importPreview.style.display = 'block';
+  }
+
+  /**
+   * Plan the pending import with the selected mode
+   * @returns {Promise<object>} Plan from ImportExport.planImport
+   */
+  async function getImportPlan()
+  {
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    return ImportExport.planImport(await Storage.getActiveProfileGroups(), pendingImport, mode, {
+      enabled: await Storage.getEnabled(),
+      siteSettings: await Storage.getSiteSettings()
+    });
+  }
+
+  async function renderImportPreview()
+  {
+    if (!pendingImport) return;
+
+    const plan = await getImportPlan();
+    importSummary.innerHTML = '';
+
+    appendImportSection(msg('importAdded', [plan.added.length]),
+      plan.added.map(group => ({ name: group.name, detail: msg('wordCountShort', [group.words.length]) })));
+
+    appendImportSection(msg('importChanged', [plan.changed.length]),
+      plan.changed.map(({ group, diff }) => ({ name: group.name, detail: describeGroupDiff(diff) })));
+
+    if (plan.removed.length > 0) {
+      appendImportSection(msg('importRemoved', [plan.removed.length]),
+        plan.removed.map(group => ({ name: group.name })));
+    }
+
+    if (plan.unchanged.length > 0) {
+      appendImportSection(msg('importUnchanged', [plan.unchanged.length]),
+        plan.unchanged.map(group => ({ name: group.name })));
+    }
+
+    if (plan.errors.length > 0) {
+      appendImportSection(msg('importSkipped', [plan.errors.length]),
+        plan.errors.map(error => ({
+          name: error.name === null ? msg('importSettingsItem') : error.name,
+          detail: describeImportError(error.reason)
+        })), 'errors');
+    }
+
+    if (plan.settingsChanged) {
+      const settingsNote = document.createElement('div');
+      settingsNote.className = 'import-summary-section';
+      settingsNote.textContent = plan.mode === 'replace' ? msg('importSettingsReplaced') : msg('importSettingsMerged');
+      importSummary.appendChild(settingsNote);
+    }
+
+    const hasChanges = plan.added.length + plan.changed.length + plan.removed.length > 0 || plan.settingsChanged;
+    document.getElementById('applyImportBtn').disabled = !hasChanges;
+  }
+
+  /**
+   * Add a titled list to the import preview
+   * @param {string} title - Section title
+   * @param {Array<{name: string, detail?: string}>} items - List items
+   * @param {string} [className] - Extra class for the section
+   */
+  function appendImportSection(title, items, className)
+  {
+    const section = document.createElement('div');
+    section.className = className ? `import-summary-section ${className}` : 'import-summary-section';
+
+    const label = document.createElement('label');
+    label.className = 'section-label';
+    label.textContent = title;
+    section.appendChild(label);
+
+    if (items.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'import-summary-empty';
+      empty.textContent = msg('importNone');
+      section.appendChild(empty);
+    } else {
+      const list = document.createElement('ul');
+      items.forEach(item =>
+      {
+        const li = document.createElement('li');
+        li.textContent = item.name;
+        if (item.detail) {
+          const detail = document.createElement('span');
+          detail.className = 'import-summary-detail';
+          detail.textContent = item.detail;
+          li.appendChild(detail);
+        }
+        list.appendChild(li);
+      });
+      section.appendChild(list);
+    }
+
+    importSummary.appendChild(section);
+  }
+
+  /**
+   * Summarise how an imported group changes an existing one
+   * @param {object} diff - Diff from ImportExport.planImport
+   * @returns {string}
+   */
+  function describeGroupDiff(diff)
+  {
+    const fieldLabels = {
+      name: msg('importFieldName'),
+      colour: msg('importFieldColour'),
+      enabled: msg('importFieldEnabled'),
+      matchOptions: msg('importFieldMatchOptions'),
+      pageScope: msg('pageScope'),
+      words: msg('words')
+    };
+
+    const parts = [];
+    if (diff.wordsAdded > 0 || diff.wordsRemoved > 0) {
+      parts.push(msg('importWordsDiff', [diff.wordsAdded, diff.wordsRemoved]));
+    }
+    diff.fields.forEach(field => parts.push(fieldLabels[field]));
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Explain why an imported item was skipped
+   * @param {string} reason - Reason code from ImportExport
+   * @returns {string}
+   */
+  function describeImportError(reason)
+  {
+    switch (reason) {
+      case 'invalidName': return msg('importErrorName');
+      case 'invalidColour': return msg('importErrorColour');
+      case 'invalidWords': return msg('importErrorWords');
+      case 'tooManyWords': return msg('importErrorTooManyWords', [MAX_WORDS_PER_GROUP]);
+      case 'invalidOptions': return msg('importErrorOptions');
+      case 'invalidUrlPatterns': return msg('importErrorUrlPatterns');
+      case 'duplicateName': return msg('importErrorDuplicate');
+      case 'groupLimit': return msg('importErrorGroupLimit', [MAX_GROUPS]);
+      case 'wordLimit': return msg('importErrorWordLimit', [MAX_TOTAL_WORDS]);
+      case 'invalidSettings': return msg('importErrorSettings');
+      default: return msg('importErrorInvalid');
+    }
+  }
+
+  async function handleApplyImport()
+  {
+    if (!pendingImport) return;
+
+    const plan = await getImportPlan();
+    const success = await ImportExport.applyImport(plan);
+
+    if (success) {
+      closeImportPreview();
+      await loadGroups();
+      await loadGlobalEnabled();
+      await loadSiteSettings();
+      showNotification(msg('notifImported', [plan.added.length, plan.changed.length]), 'success');
+    } else {
+      showNotification(msg('notifImportFailed'), 'error');
+    }
+  }
+
+  function closeImportPreview()
+  {
+    pendingImport = null;
+    importPreview.style.display = 'none';
+    importSummary.innerHTML = '';
+  }
+
+  // ============================================================================
+  // Undo/Redo
+  // ============================================================================
+
+  function handleHistoryShortcut(e)
+  {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    // Leave text fields to the browser's own undo
+    const target = e.target;
+    if (target.isContentEditable ||
+        target.matches('textarea, input:not([type="checkbox"]):not([type="radio"]):not([type="button"])')) {
+      return;
+    }
+
+    e.preventDefault();
+    handleUndoRedo(isUndo ? 'undo' : 'redo');
+  }
+
+  async function handleUndoRedo(direction)
+  {
+    if (historyBusy) return;
+    historyBusy = true;
+
+    try {
+      const success = direction === 'undo' ? await Storage.undo() : await Storage.redo();
+      if (success) {
+        await loadGroups();
+        showNotification(msg(direction === 'undo' ? 'notifUndone' : 'notifRedone'), 'success');
+      } else {
+        showNotification(msg(direction === 'undo' ? 'notifNothingToUndo' : 'notifNothingToRedo'), 'info');
+      }
+    } finally {
+      historyBusy = false;
+    }
+  }
+
+  /**
+   * Toast action that undoes the change just made
+   * @returns {{label: string, onClick: function}}
+   */
+  function undoAction()
+  {
+    return { label: msg('undo'), onClick: () => handleUndoRedo('undo') };
+  }
+
   // ============================================================================
   // Drag and Drop
   // ============================================================================
@@ -870,21 +1740,48 @@
 
   function handleStorageChange(changes, area)
   {
-    // Reload groups if changed in another tab
-    if (changes.groups) {
+    // Reload groups if changed in another tab (or the popup switched profile)
+    if (changes.profiles || changes.activeProfileId) {
+      loadProfiles();
+    }
+
+    if (changes.groups || changes.profiles || changes.activeProfileId) {
       loadGroups();
     }
 
     if (changes.enabled) {
       loadGlobalEnabled();
     }
+
+    if (changes.siteSettings) {
+      loadSiteSettings();
+    }
+
+    if (changes.showMinimap || changes.showBadge || changes.badgeGroupColour) {
+      loadDisplaySettings();
+    }
+
+    if (changes.quietHours) {
+      loadQuietHours();
+    }
+
+    if (changes.syncEnabled || changes.syncStatus) {
+      loadSyncState();
+    }
   }
 
   // ============================================================================
   // Notifications
   // ============================================================================
 
-  function showNotification(message, type = 'info', persistent = false)
+  /**
+   * Show a toast notification
+   * @param {string} message - Text to show
+   * @param {string} [type] - 'info', 'success' or 'error'
+   * @param {boolean} [persistent] - Stay until closed
+   * @param {{label: string, onClick: function}} [action] - Optional button (closes the toast when clicked)
+   */
+  function showNotification(message, type = 'info', persistent = false, action = null)
   {
     // Create toast notification
     const container = document.getElementById('notificationContainer');
@@ -918,6 +1815,15 @@
     // Assemble notification
     notification.appendChild(icon);
     notification.appendChild(messageEl);
+
+    let actionBtn = null;
+    if (action) {
+      actionBtn = document.createElement('button');
+      actionBtn.className = 'notification-action';
+      actionBtn.textContent = action.label;
+      notification.appendChild(actionBtn);
+    }
+
     notification.appendChild(closeBtn);
 
     // Add to container
@@ -937,6 +1843,14 @@
 
     closeBtn.addEventListener('click', closeNotification);
 
+    if (actionBtn) {
+      actionBtn.addEventListener('click', () =>
+      {
+        closeNotification();
+        action.onClick();
+      });
+    }
+
     // Auto-dismiss notifications unless marked as persistent
     if (!persistent) {
       setTimeout(closeNotification, NOTIFICATION_TIMEOUT_MS);
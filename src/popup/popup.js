@@ -5,7 +5,7 @@
   'use strict';
 
   // Access namespace
-  const { Storage, i18n } = LiveHighlighter;
+  const { Storage, UrlPatterns, i18n } = LiveHighlighter;
 
   // Helper for translated messages
   const msg = (key, substitutions) => i18n.getMessage(key, substitutions);
@@ -13,7 +13,9 @@
   // DOM elements
   let globalToggle;
   let ruleCountSpan;
+  let activeGroupsDiv;
   let highlightCountSpan;
+  let matchBreakdown;
   let openOptionsBtn;
   let versionDiv;
   let navControls;
@@ -21,6 +23,26 @@
   let navNext;
   let navPosition;
   let navText;
+  let navOverlayBtn;
+  let siteControls;
+  let siteHost;
+  let siteStatus;
+  let siteToggleBtn;
+  let pageToggleBtn;
+  let pauseToggleBtn;
+  let profileSelect;
+  let profileAuto;
+
+  // Active tab and its pause state (paused tabs resume on reload)
+  let currentTab = null;
+  let tabPaused = false;
+
+  // Groups active on the tab (priority order), and which of them show per-word counts
+  let tabGroups = [];
+  const expandedGroups = new Set();
+
+  // Group or word Prev/Next is restricted to on the tab: { groupId, word } or null
+  let navRestriction = null;
 
   // Sequence counter to prevent stale responses from overwriting newer ones
   let navSequence = 0;
@@ -39,7 +61,9 @@
     // Get DOM elements
     globalToggle = document.getElementById('globalToggle');
     ruleCountSpan = document.getElementById('ruleCount');
+    activeGroupsDiv = document.getElementById('activeGroups');
     highlightCountSpan = document.getElementById('highlightCount');
+    matchBreakdown = document.getElementById('matchBreakdown');
     openOptionsBtn = document.getElementById('openOptionsBtn');
     versionDiv = document.getElementById('version');
     navControls = document.getElementById('navControls');
@@ -47,6 +71,15 @@
     navNext = document.getElementById('navNext');
     navPosition = document.getElementById('navPosition');
     navText = document.getElementById('navText');
+    navOverlayBtn = document.getElementById('navOverlayBtn');
+    siteControls = document.getElementById('siteControls');
+    siteHost = document.getElementById('siteHost');
+    siteStatus = document.getElementById('siteStatus');
+    siteToggleBtn = document.getElementById('siteToggleBtn');
+    pageToggleBtn = document.getElementById('pageToggleBtn');
+    pauseToggleBtn = document.getElementById('pauseToggleBtn');
+    profileSelect = document.getElementById('profileSelect');
+    profileAuto = document.getElementById('profileAuto');
 
     // Set version from manifest
     const manifest = chrome.runtime.getManifest();
@@ -63,6 +96,11 @@
     openOptionsBtn.addEventListener('click', handleOpenOptions);
     navPrev.addEventListener('click', () => handleNavigate('prev'));
     navNext.addEventListener('click', () => handleNavigate('next'));
+    navOverlayBtn.addEventListener('click', handleShowOverlay);
+    siteToggleBtn.addEventListener('click', handleSiteToggle);
+    pageToggleBtn.addEventListener('click', handlePageToggle);
+    pauseToggleBtn.addEventListener('click', handlePauseToggle);
+    profileSelect.addEventListener('change', handleProfileSwitch);
     document.getElementById('createFirstRule').addEventListener('click', handleCreateFirstRule);
     document.getElementById('dismissBanner').addEventListener('click', handleDismissBanner);
 
@@ -85,10 +123,25 @@
         toggleSlider.classList.remove('active');
       }
 
-      // Get groups and count enabled vs total
-      const groups = await Storage.getGroups();
-      const enabledGroups = groups.filter(g => g.enabled);
-      ruleCountSpan.textContent = `${enabledGroups.length} / ${groups.length}`;
+      // Get the tab's profile (URL-matched or active) and count its groups active on this tab
+      // (enabled and in URL scope) vs total
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const profiles = await Storage.getProfiles();
+      const activeProfileId = await Storage.getActiveProfileId();
+      const tabProfileId = Storage.getProfileIdForUrl(profiles, activeProfileId, tab && tab.url);
+      renderProfiles(profiles, activeProfileId, tabProfileId);
+
+      const groups = Storage.getProfileGroups(await Storage.getGroups(), tabProfileId);
+      const activeGroups = groups
+        .filter(g => g.enabled && (!tab || !tab.url || UrlPatterns.isGroupInScope(g, tab.url)))
+        .sort((a, b) => a.order - b.order);
+      ruleCountSpan.textContent = `${activeGroups.length} / ${groups.length}`;
+      renderActiveGroups(activeGroups);
+      tabGroups = activeGroups;
+
+      // Per-site controls for the active tab
+      currentTab = tab || null;
+      await loadSiteControls();
 
       // Get highlight count from active tab
       await getHighlightCount();
@@ -117,29 +170,20 @@
         return;
       }
 
-      // Get count and navigation state from the main frame content script
+      // Get count and navigation state across all frames from the service worker
       // in a single call so both numbers are always consistent
-      chrome.tabs.sendMessage(
-        tab.id,
-        { type: 'GET_NAVIGATION_STATE' },
-        { frameId: 0 },
+      chrome.runtime.sendMessage(
+        { type: 'GET_TAB_NAVIGATION_STATE', tabId: tab.id },
         (response) =>
         {
           if (chrome.runtime.lastError || !response || !response.success) {
             highlightCountSpan.textContent = '0';
             navControls.style.display = 'none';
+            matchBreakdown.style.display = 'none';
             return;
           }
 
-          // Use navigation total as the highlight count (single source of truth)
-          highlightCountSpan.textContent = response.total;
-
-          if (response.total > 0) {
-            navControls.style.display = 'flex';
-            updateNavDisplay(response);
-          } else {
-            navControls.style.display = 'none';
-          }
+          updateNavDisplay(response);
         }
       );
 
@@ -149,6 +193,149 @@
     }
   }
 
+  /**
+   * Fill the profile switcher and explain when the tab uses another profile
+   * @param {Array} profiles - All profiles
+   * @param {string} activeProfileId - Active profile ID
+   * @param {string} tabProfileId - Profile used on the current tab
+   */
+  function renderProfiles(profiles, activeProfileId, tabProfileId)
+  {
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile =>
+    {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = activeProfileId;
+
+    const tabProfile = profiles.find(profile => profile.id === tabProfileId);
+    if (tabProfileId !== activeProfileId && tabProfile) {
+      profileAuto.textContent = msg('profileAutoSwitched', [tabProfile.name]);
+      profileAuto.style.display = 'block';
+    } else {
+      profileAuto.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show a colour dot and name for each group active on the current tab
+   * @param {Array} activeGroups - Groups in priority order
+   */
+  function renderActiveGroups(activeGroups)
+  {
+    activeGroupsDiv.innerHTML = '';
+
+    if (activeGroups.length === 0) {
+      activeGroupsDiv.style.display = 'none';
+      return;
+    }
+
+    activeGroups.forEach(group =>
+    {
+      const chip = document.createElement('span');
+      chip.className = 'active-group';
+      chip.title = group.name;
+
+      const dot = document.createElement('span');
+      dot.className = 'active-group-dot';
+      dot.style.backgroundColor = group.colour;
+
+      const name = document.createElement('span');
+      name.className = 'active-group-name';
+      name.textContent = group.name;
+
+      chip.appendChild(dot);
+      chip.appendChild(name);
+      activeGroupsDiv.appendChild(chip);
+    });
+
+    activeGroupsDiv.style.display = 'flex';
+  }
+
+  /**
+   * Check if the site controls apply to a tab (web and file pages only)
+   * @param {object} tab - Chrome tab
+   * @returns {boolean}
+   */
+  function isSiteControllable(tab)
+  {
+    return !!(tab && tab.id && tab.url && /^(https?|file):/.test(tab.url));
+  }
+
+  /**
+   * Show the site, page and pause buttons for the active tab
+   */
+  async function loadSiteControls()
+  {
+    if (!isSiteControllable(currentTab)) {
+      siteControls.style.display = 'none';
+      return;
+    }
+
+    const siteSettings = await Storage.getSiteSettings();
+    const hostname = Storage.getSiteKey(currentTab.url);
+    const pageDisabled = siteSettings.disabledPages.includes(Storage.getPageKey(currentTab.url));
+    tabPaused = await getTabPaused();
+
+    siteHost.textContent = hostname;
+    siteHost.title = hostname;
+
+    // Site button: allow/disallow in allowlist mode, otherwise disable/enable
+    // (file:// pages have no hostname, so only the page and pause buttons apply)
+    siteToggleBtn.style.display = hostname ? 'block' : 'none';
+    if (siteSettings.allowlistMode) {
+      const allowed = Storage.isSiteInList(siteSettings.allowedSites, hostname);
+      siteToggleBtn.textContent = allowed ? msg('disallowSite') : msg('allowSite');
+      siteToggleBtn.classList.toggle('active', allowed);
+    } else {
+      const disabled = Storage.isSiteInList(siteSettings.disabledSites, hostname);
+      siteToggleBtn.textContent = disabled ? msg('enableSite') : msg('disableSite');
+      siteToggleBtn.classList.toggle('active', disabled);
+    }
+
+    pageToggleBtn.textContent = pageDisabled ? msg('enablePage') : msg('disablePage');
+    pageToggleBtn.classList.toggle('active', pageDisabled);
+
+    pauseToggleBtn.textContent = tabPaused ? msg('resumeTab') : msg('pauseTab');
+    pauseToggleBtn.classList.toggle('active', tabPaused);
+
+    // Explain why nothing is highlighted
+    let status = '';
+    if (tabPaused) {
+      status = msg('siteStatusPaused');
+    } else if (!Storage.isUrlAllowed(siteSettings, currentTab.url)) {
+      status = siteSettings.allowlistMode && !Storage.isSiteInList(siteSettings.allowedSites, hostname)
+        ? msg('siteStatusNotAllowed')
+        : msg('siteStatusDisabled');
+    }
+    siteStatus.textContent = status;
+    siteStatus.style.display = status ? 'block' : 'none';
+
+    siteControls.style.display = 'block';
+  }
+
+  /**
+   * Ask the main frame whether this tab is paused
+   * @returns {Promise<boolean>}
+   */
+  function getTabPaused()
+  {
+    return new Promise(resolve =>
+    {
+      chrome.tabs.sendMessage(currentTab.id, { type: 'GET_PAUSED' }, { frameId: 0 }, (response) =>
+      {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          resolve(false);
+          return;
+        }
+        resolve(response.paused === true);
+      });
+    });
+  }
+
   // ============================================================================
   // Event Handlers
   // ============================================================================
@@ -184,6 +371,69 @@
     }
   }
 
+  async function handleSiteToggle()
+  {
+    if (!isSiteControllable(currentTab)) return;
+
+    if (!await Storage.toggleSite(currentTab.url)) {
+      alert(msg('notifFailedUpdateSetting'));
+    }
+    await refreshAfterSiteChange();
+  }
+
+  async function handlePageToggle()
+  {
+    if (!isSiteControllable(currentTab)) return;
+
+    const siteSettings = await Storage.getSiteSettings();
+    const disabled = siteSettings.disabledPages.includes(Storage.getPageKey(currentTab.url));
+
+    if (!await Storage.setPageDisabled(currentTab.url, !disabled)) {
+      alert(msg('notifFailedUpdateSetting'));
+    }
+    await refreshAfterSiteChange();
+  }
+
+  function handlePauseToggle()
+  {
+    if (!isSiteControllable(currentTab)) return;
+
+    // Sent to every frame in the tab; the pause lasts until the tab reloads
+    chrome.tabs.sendMessage(currentTab.id, { type: 'SET_PAUSED', paused: !tabPaused }, () =>
+    {
+      if (chrome.runtime.lastError) {
+        console.warn('Live Highlighter: Could not pause tab', chrome.runtime.lastError.message);
+      }
+      refreshAfterSiteChange();
+    });
+  }
+
+  /**
+   * Refresh the site controls and highlight count once the content script has updated
+   */
+  async function refreshAfterSiteChange()
+  {
+    await loadSiteControls();
+    setTimeout(() =>
+    {
+      getHighlightCount();
+    }, 500); // Give content script time to update
+  }
+
+  async function handleProfileSwitch()
+  {
+    if (!await Storage.setActiveProfile(profileSelect.value)) {
+      console.error('Live Highlighter: Failed to switch profile');
+    }
+
+    // Content scripts swap rules when the service worker relays the change
+    await loadStatus();
+    setTimeout(() =>
+    {
+      getHighlightCount();
+    }, 500); // Give content script time to update
+  }
+
   function handleOpenOptions()
   {
     // Open the options page
@@ -201,10 +451,8 @@
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tab || !tab.id) return;
 
-      chrome.tabs.sendMessage(
-        tab.id,
-        { type: 'NAVIGATE_HIGHLIGHT', direction },
-        { frameId: 0 },
+      chrome.runtime.sendMessage(
+        { type: 'NAVIGATE_TAB', tabId: tab.id, direction },
         (response) =>
         {
           if (seq !== navSequence) return; // Stale response, ignore
@@ -217,13 +465,31 @@
     }
   }
 
+  /**
+   * Open the in-page navigator on the active tab and close the popup,
+   * since the popup closes anyway as soon as the page is clicked
+   */
+  async function handleShowOverlay()
+  {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.id) return;
+
+      chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_NAVIGATOR' }, { frameId: 0 }, () =>
+      {
+        if (chrome.runtime.lastError) return; // No content script on this page
+        window.close();
+      });
+    } catch (error) {
+      console.error('Live Highlighter: Error opening navigator', error);
+    }
+  }
+
   function updateNavigationState(tabId)
   {
     const seq = ++navSequence;
-    chrome.tabs.sendMessage(
-      tabId,
-      { type: 'GET_NAVIGATION_STATE' },
-      { frameId: 0 },
+    chrome.runtime.sendMessage(
+      { type: 'GET_TAB_NAVIGATION_STATE', tabId },
       (response) =>
       {
         if (seq !== navSequence) return; // Stale response, ignore
@@ -235,8 +501,11 @@
 
   function updateNavDisplay(response)
   {
-    // Keep "Highlights on Page" in sync with navigation total (single source of truth)
-    highlightCountSpan.textContent = response.total;
+    // "Highlights on Page" counts every highlight, including ones Prev/Next currently skip
+    const highlightTotal = Object.values(response.groupCounts || {}).reduce((sum, count) => sum + count, 0);
+    highlightCountSpan.textContent = Math.max(highlightTotal, response.total);
+    navControls.style.display = highlightTotal > 0 || response.total > 0 ? 'flex' : 'none';
+    renderBreakdown(response);
 
     if (response.index > 0) {
       navPosition.textContent = `${response.index} / ${response.total}`;
@@ -248,6 +517,161 @@
     }
   }
 
+  // ============================================================================
+  // Match Breakdown
+  // ============================================================================
+
+  /**
+   * List each group with highlights on the tab and its count, expandable to per-word counts
+   * Clicking a row restricts Prev/Next to that group or word; clicking it again lifts the restriction
+   * @param {object} response - Tab navigation state with groupCounts, wordCounts and restriction
+   */
+  function renderBreakdown(response)
+  {
+    const groupCounts = response.groupCounts || {};
+    const wordCounts = response.wordCounts || {};
+    navRestriction = response.restriction || null;
+
+    // Rows are rebuilt after every Prev/Next, so keep keyboard focus on the same row
+    const focusedKey = matchBreakdown.contains(document.activeElement) ? document.activeElement.dataset.key : null;
+
+    matchBreakdown.innerHTML = '';
+    const groups = tabGroups.filter(group => groupCounts[group.id] > 0);
+
+    if (groups.length === 0) {
+      matchBreakdown.style.display = 'none';
+      return;
+    }
+
+    groups.forEach(group =>
+    {
+      const item = document.createElement('div');
+      item.className = 'breakdown-group';
+
+      const header = document.createElement('div');
+      header.className = 'breakdown-header';
+
+      const expandBtn = document.createElement('button');
+      expandBtn.className = 'breakdown-expand';
+      expandBtn.title = msg('breakdownShowWords');
+      expandBtn.setAttribute('aria-expanded', String(expandedGroups.has(group.id)));
+      expandBtn.dataset.key = JSON.stringify(['expand', group.id]);
+      expandBtn.innerHTML = `
+        <svg width="10" height="10" viewBox="0 0 16 16" fill="currentColor">
+          <path d="M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708z"/>
+        </svg>
+      `;
+
+      const words = document.createElement('div');
+      words.className = 'breakdown-words';
+      words.hidden = !expandedGroups.has(group.id);
+
+      expandBtn.addEventListener('click', () =>
+      {
+        if (expandedGroups.has(group.id)) {
+          expandedGroups.delete(group.id);
+        } else {
+          expandedGroups.add(group.id);
+        }
+        expandBtn.setAttribute('aria-expanded', String(expandedGroups.has(group.id)));
+        words.hidden = !expandedGroups.has(group.id);
+      });
+
+      header.appendChild(expandBtn);
+      header.appendChild(createBreakdownRow(group, null, groupCounts[group.id]));
+
+      const counts = wordCounts[group.id] || {};
+      [...new Set(group.words.map(word => word.trim()))].forEach(word =>
+      {
+        words.appendChild(createBreakdownRow(group, word, counts[word] || 0));
+      });
+
+      item.appendChild(header);
+      item.appendChild(words);
+      matchBreakdown.appendChild(item);
+    });
+
+    matchBreakdown.style.display = 'block';
+
+    const focused = [...matchBreakdown.querySelectorAll('button')].find(button => button.dataset.key === focusedKey);
+    if (focused) {
+      focused.focus();
+    }
+  }
+
+  /**
+   * Create a clickable row for a group or one of its words
+   * @param {object} group - Group
+   * @param {string|null} word - Word (or regex), or null for the whole group
+   * @param {number} count - Highlights on the tab
+   * @returns {HTMLButtonElement}
+   */
+  function createBreakdownRow(group, word, count)
+  {
+    const row = document.createElement('button');
+    row.className = word === null ? 'breakdown-row' : 'breakdown-row breakdown-word';
+    row.title = msg('breakdownRestrict');
+    row.disabled = count === 0;
+    row.setAttribute('aria-pressed', String(isRestrictedTo(group.id, word)));
+    row.dataset.key = JSON.stringify([group.id, word]);
+
+    if (word === null) {
+      const dot = document.createElement('span');
+      dot.className = 'active-group-dot';
+      dot.style.backgroundColor = group.colour;
+      row.appendChild(dot);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'breakdown-name';
+    name.textContent = word === null ? group.name : word;
+
+    const value = document.createElement('span');
+    value.className = 'breakdown-count';
+    value.textContent = count;
+
+    row.appendChild(name);
+    row.appendChild(value);
+    row.addEventListener('click', () => handleRestrict(group.id, word));
+    return row;
+  }
+
+  /**
+   * Check if Prev/Next is restricted to a group or word
+   * @param {string} groupId - Group ID
+   * @param {string|null} word - Word, or null for the whole group
+   * @returns {boolean}
+   */
+  function isRestrictedTo(groupId, word)
+  {
+    return !!navRestriction && navRestriction.groupId === groupId && navRestriction.word === word;
+  }
+
+  /**
+   * Restrict Prev/Next on the tab to a group or word and jump to its next highlight,
+   * or navigate every highlight again if it was already selected
+   * @param {string} groupId - Group ID
+   * @param {string|null} word - Word, or null for the whole group
+   */
+  async function handleRestrict(groupId, word)
+  {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.id) return;
+
+      const restriction = isRestrictedTo(groupId, word) ? null : { groupId, word };
+      await chrome.runtime.sendMessage({ type: 'SET_NAVIGATION_RESTRICTION', tabId: tab.id, restriction });
+
+      if (restriction) {
+        await handleNavigate('next');
+      } else {
+        updateNavigationState(tab.id);
+      }
+    } catch (error) {
+      console.error('Live Highlighter: Error restricting navigation', error);
+    }
+  }
+
   // ============================================================================
   // Get Started Banner
   // ============================================================================
@@ -7,9 +7,14 @@ const LiveHighlighter = (function ()
 
   return {
     // Maximum limits (free tier)
-    MAX_GROUPS: 10,              // Maximum number of groups
-    MAX_WORDS_PER_GROUP: 20,     // Maximum words per group
-    MAX_TOTAL_WORDS: 200,        // Maximum total words across all groups
+    MAX_GROUPS: 10,              // Maximum number of groups (per profile)
+    MAX_WORDS_PER_GROUP: 500,    // Maximum words per group
+    MAX_TOTAL_WORDS: 2000,       // Maximum total words across all groups (per profile)
+    MAX_PROFILES: 10,            // Maximum number of profiles
+    MAX_URL_PATTERNS_PER_GROUP: 20, // Maximum include (or exclude) URL patterns per group
+    MAX_SITE_ENTRIES: 500,       // Maximum entries in each site list (disabled sites/pages, allowed sites)
+    MAX_HISTORY_ENTRIES: 50,     // Maximum undo (and redo) entries kept
+    MAX_HISTORY_BYTES: 1048576,  // Maximum size of all undo and redo entries (JSON characters)
 
     // Preset colour options (free tier)
     // WCAG AA compliant colors optimized for light backgrounds with black text
@@ -37,29 +42,115 @@ const LiveHighlighter = (function ()
       words: ['Important', 'TODO', 'URGENT']
     },
 
+    // Profile that holds the groups on new installs (and groups from before profiles existed)
+    DEFAULT_PROFILE: {
+      id: 'default',
+      name: 'Default',
+      urlPatterns: []
+    },
+
     // Storage keys
     STORAGE_KEYS: {
       GROUPS: 'groups',
       ENABLED: 'enabled',
-      VERSION: 'version'
+      VERSION: 'version',
+      SITE_SETTINGS: 'siteSettings',
+      GROUP_TOMBSTONES: 'groupTombstones',  // { groupId or profileId: deletedAt } for sync conflict resolution
+      SYNC_ENABLED: 'syncEnabled',
+      SYNC_STATUS: 'syncStatus',
+      MIGRATION_BACKUP: 'migrationBackup',  // Storage snapshot taken before the last schema migration
+      GROUP_HISTORY: 'groupHistory',  // { undo: [], redo: [], nextId } undo/redo entries (keys and sizes)
+      HISTORY_ENTRY_PREFIX: 'groupHistoryEntry',  // groupHistoryEntry1, groupHistoryEntry2, ... one undo/redo entry each
+      PROFILES: 'profiles',
+      ACTIVE_PROFILE: 'activeProfileId',
+      SHOW_MINIMAP: 'showMinimap',
+      SHOW_BADGE: 'showBadge',
+      BADGE_GROUP_COLOUR: 'badgeGroupColour',
+      QUIET_HOURS: 'quietHours'
+    },
+
+    // chrome.storage.sync layout: groups are serialised to JSON and split across chunk items
+    SYNC_KEYS: {
+      META: 'syncMeta',           // { version, schemaVersion, chunkCount, length, tombstones, updatedAt }
+      CHUNK_PREFIX: 'syncGroups'  // syncGroups0, syncGroups1, ...
     },
 
+    // chrome.storage.sync quotas (used when the browser doesn't report them)
+    SYNC_QUOTA_BYTES: 102400,
+    SYNC_QUOTA_BYTES_PER_ITEM: 8192,
+    SYNC_DEBOUNCE_MS: 2000,                       // Batch rapid edits into one sync write
+    SYNC_TOMBSTONE_TTL_MS: 30 * 24 * 60 * 60 * 1000, // Forget deleted groups and profiles after 30 days
+
     // Default settings
     DEFAULT_SETTINGS: {
       groups: [],  // Will be populated with DEFAULT_GROUP on first install
       enabled: true,
-      version: 2   // Bumped version to indicate new schema
+      showMinimap: false,  // Highlight markers along the scrollbar
+      showBadge: true,     // Highlight count on the toolbar icon
+      badgeGroupColour: false,  // Colour the badge like the highest-priority group on the tab
+      quietHours: { enabled: false, start: '22:00', end: '07:00' },  // No alert notifications between start and end
+      version: 7   // Storage schema version - add a step to src/background/migrations.js when bumping
+    },
+
+    // First schema version that reads regex words written as /pattern/flags. Groups synced or
+    // exported by an older version have their regex words escaped on the way in (see migration 7)
+    REGEX_LITERAL_SCHEMA_VERSION: 7,
+
+    // Default per-site settings
+    DEFAULT_SITE_SETTINGS: {
+      allowlistMode: false,  // When true, only highlight on allowedSites
+      allowedSites: [],      // Hostnames (subdomains included)
+      disabledSites: [],     // Hostnames (subdomains included)
+      disabledPages: []      // Page URLs without the #hash
     },
 
+    // Import/export file format (bump EXPORT_VERSION when the file layout changes)
+    EXPORT_FORMAT: 'live-highlighter',
+    EXPORT_VERSION: 1,
+
     // MutationObserver debounce delay (ms)
     MUTATION_DEBOUNCE_MS: 150,
 
+    // Page scans: longest piece of work per idle callback, longest wait for an idle period (ms),
+    // and how far outside the viewport content counts as visible (matched first)
+    SCAN_SLICE_MS: 8,
+    SCAN_IDLE_TIMEOUT_MS: 500,
+    SCAN_VIEWPORT_MARGIN: '200px',
+
+    // Text a frame matches on its main thread before it starts a match worker (characters)
+    MATCH_WORKER_MIN_CHARS: 50000,
+
+    // In-page navigator refresh delay after highlights change (ms)
+    NAV_OVERLAY_UPDATE_MS: 100,
+
+    // Scrollbar minimap: gutter width and refresh delay after highlights or layout change (ms)
+    MINIMAP_WIDTH_PX: 8,
+    MINIMAP_UPDATE_MS: 250,
+
+    // Toolbar badge: delay before reporting a frame's highlight count, and colour when not using a group's
+    BADGE_UPDATE_MS: 300,
+    BADGE_COLOUR: '#1A73E8',
+
+    // Alert notifications: minimum time between notifications for one tab, and how many recent
+    // new matches each frame keeps for its notifications to jump to
+    ALERT_TAB_INTERVAL_MS: 60000,  // 1 minute
+    ALERT_MATCHES_KEPT: 20,
+
+    // Quiet hours start and end times (24-hour HH:MM, as given by <input type="time">)
+    TIME_PATTERN: /^([01][0-9]|2[0-3]):[0-5][0-9]$/,
+
     // Notification auto-dismiss timeout (ms)
     NOTIFICATION_TIMEOUT_MS: 10000,  // 10 seconds
 
     // Elements to skip when highlighting
     SKIP_ELEMENTS: ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT'],
 
+    // Inline elements that don't break a run of text
+    // Text inside these is joined with its siblings when matching across elements
+    INLINE_ELEMENTS: ['A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT',
+      'I', 'INS', 'KBD', 'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP',
+      'TIME', 'U', 'VAR'],
+
     // CSS Highlight API prefix (for CSS.highlights registry)
     // "lh" = Live Highlighter
     HIGHLIGHT_PREFIX: 'lh',
@@ -69,12 +160,42 @@ const LiveHighlighter = (function ()
     ACTIVE_HIGHLIGHT_COLOR: '#FFAB40',
     ACTIVE_HIGHLIGHT_TEXT_COLOR: '#000000',
 
+    // Valid hex colour formats (#RGB, #RRGGBB, or #RRGGBBAA)
+    HEX_COLOUR_PATTERN: /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/,
+
     // Map of color hex to highlight name for CSS Highlight API
+    // Presets use their colour name; any other valid hex gets a custom name (e.g. "lh-custom-3366ff")
     getHighlightName(colourHex)
     {
-      const colour = this.PRESET_COLOURS.find(c => c.hex === colourHex);
-      if (!colour) return null;
+      if (typeof colourHex !== 'string' || !this.HEX_COLOUR_PATTERN.test(colourHex)) return null;
+      const colour = this.PRESET_COLOURS.find(c => c.hex.toUpperCase() === colourHex.toUpperCase());
+      if (!colour) return `${this.HIGHLIGHT_PREFIX}-custom-${colourHex.slice(1).toLowerCase()}`;
       return `${this.HIGHLIGHT_PREFIX}-${colour.name.toLowerCase()}`;
+    },
+
+    // Pick black or white text for a background colour, whichever has the higher
+    // WCAG contrast ratio (the better of the two is always at least 4.5:1)
+    // Alpha is ignored - the colour is treated as opaque
+    getReadableTextColor(colourHex)
+    {
+      if (typeof colourHex !== 'string' || !this.HEX_COLOUR_PATTERN.test(colourHex)) return '#000000';
+
+      let hex = colourHex.slice(1);
+      if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+      }
+
+      // Relative luminance per WCAG 2.x
+      const [r, g, b] = [0, 2, 4].map(i =>
+      {
+        const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+      });
+      const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+      const contrastWithBlack = (luminance + 0.05) / 0.05;
+      const contrastWithWhite = 1.05 / (luminance + 0.05);
+      return contrastWithBlack >= contrastWithWhite ? '#000000' : '#FFFFFF';
     }
   };
 })();
@@ -0,0 +1,466 @@
+// Live Highlighter - Import and Export of Groups and Settings
+
+/**
+ * Export file layout (EXPORT_VERSION 1):
+ * {
+ *   format: 'live-highlighter',
+ *   version: 1,
+ *   schemaVersion: number,    // Storage schema of the exporting version (missing before schema 7)
+ *   exportedAt: string,       // ISO date
+ *   groups: object[],         // Same fields as stored groups (see storage.js)
+ *   settings: {
+ *     enabled: boolean,
+ *     siteSettings: object    // See DEFAULT_SITE_SETTINGS
+ *   }
+ * }
+ *
+ * Imports go through three steps: parseImport (validate the file and normalise each group),
+ * planImport (work out what a merge or replace would do, for the preview) and applyImport.
+ *
+ * Regex words in files from before schema 7 are escaped on import, as migration 7 does for stored
+ * groups, so "/api/" keeps matching its slashes rather than being read as /pattern/flags.
+ *
+ * Files hold the groups of one profile: the options page exports the active profile, and imports
+ * merge into (or replace) the active profile's groups. Other profiles are left alone.
+ */
+
+// Extend LiveHighlighter namespace with import/export functions
+LiveHighlighter.ImportExport = (function ()
+{
+  'use strict';
+
+  const {
+    Storage,
+    MAX_GROUPS,
+    MAX_WORDS_PER_GROUP,
+    MAX_TOTAL_WORDS,
+    MAX_SITE_ENTRIES,
+    PRESET_COLOURS,
+    DEFAULT_SITE_SETTINGS,
+    DEFAULT_SETTINGS,
+    REGEX_LITERAL_SCHEMA_VERSION,
+    EXPORT_FORMAT,
+    EXPORT_VERSION
+  } = LiveHighlighter;
+
+  // Group fields written to (and read from) export files
+  const GROUP_FIELDS = ['id', 'name', 'colour', 'textColor', 'enabled', 'order', 'words', 'matchWholeWord',
+    'caseSensitive', 'ignoreAccents', 'useRegex', 'matchAcrossElements', 'alert', 'includeUrls', 'excludeUrls'];
+
+  // Optional boolean group fields (default: false)
+  const MATCH_OPTION_FIELDS = ['matchWholeWord', 'caseSensitive', 'ignoreAccents', 'useRegex', 'matchAcrossElements', 'alert'];
+
+  // Maximum length of an imported group id (longer ids are replaced)
+  const MAX_ID_LENGTH = 100;
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  /**
+   * Build the export object for the current configuration
+   * @param {Array} groups - Group objects
+   * @param {boolean} enabled - Global enabled state
+   * @param {object} siteSettings - Site settings object
+   * @returns {object} Export object (see layout above)
+   */
+  function buildExport(groups, enabled, siteSettings)
+  {
+    const exportedGroups = [...groups]
+      .sort((a, b) => a.order - b.order)
+      .map(group =>
+      {
+        const exported = {};
+        GROUP_FIELDS.forEach(field =>
+        {
+          if (group[field] !== undefined) {
+            exported[field] = group[field];
+          }
+        });
+        return exported;
+      });
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      schemaVersion: DEFAULT_SETTINGS.version,
+      exportedAt: new Date().toISOString(),
+      groups: JSON.parse(JSON.stringify(exportedGroups)),
+      settings: {
+        enabled,
+        siteSettings: JSON.parse(JSON.stringify(siteSettings))
+      }
+    };
+  }
+
+  // ============================================================================
+  // Parsing and Validation
+  // ============================================================================
+
+  /**
+   * Normalise an imported group, filling in optional fields that older exports may not have
+   * @param {object} raw - Group from the import file
+   * @param {boolean} escapeRegexWords - Whether regex words come from before /pattern/flags was supported
+   * @returns {{group: object}|{reason: string}} Normalised group, or the reason it was rejected
+   */
+  function normaliseGroup(raw, escapeRegexWords)
+  {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { reason: 'notGroup' };
+    }
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : raw.name;
+    if (!Storage.isValidGroupName(name)) {
+      return { reason: 'invalidName' };
+    }
+
+    if (!Storage.isValidColour(raw.colour)) {
+      return { reason: 'invalidColour' };
+    }
+
+    let textColor = raw.textColor;
+    if (textColor === undefined) {
+      const preset = PRESET_COLOURS.find(p => p.hex.toUpperCase() === raw.colour.toUpperCase());
+      textColor = preset ? preset.textColor : LiveHighlighter.getReadableTextColor(raw.colour);
+    } else if (!Storage.isValidColour(textColor)) {
+      return { reason: 'invalidColour' };
+    }
+
+    if (!Array.isArray(raw.words) || !raw.words.every(Storage.isValidWord)) {
+      return { reason: 'invalidWords' };
+    }
+
+    let words = raw.words.map(word => word.trim());
+    if (escapeRegexWords && raw.useRegex === true) {
+      words = words.map(Storage.escapeRegexLiteral);
+    }
+    words = [...new Set(words)];
+    if (words.length > MAX_WORDS_PER_GROUP) {
+      return { reason: 'tooManyWords' };
+    }
+
+    if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') {
+      return { reason: 'invalidOptions' };
+    }
+
+    if (MATCH_OPTION_FIELDS.some(field => raw[field] !== undefined && typeof raw[field] !== 'boolean')) {
+      return { reason: 'invalidOptions' };
+    }
+
+    const includeUrls = raw.includeUrls === undefined ? [] : raw.includeUrls;
+    const excludeUrls = raw.excludeUrls === undefined ? [] : raw.excludeUrls;
+    if (!Storage.isValidUrlPatternArray(includeUrls) || !Storage.isValidUrlPatternArray(excludeUrls)) {
+      return { reason: 'invalidUrlPatterns' };
+    }
+
+    const hasUsableId = typeof raw.id === 'string' && raw.id.length > 0 && raw.id.length <= MAX_ID_LENGTH;
+
+    const group = {
+      id: hasUsableId ? raw.id : null,  // null = assign a new id in planImport
+      name,
+      colour: raw.colour,
+      textColor,
+      enabled: raw.enabled !== false,
+      order: 0,                          // Assigned in planImport
+      words,
+      includeUrls: [...includeUrls],
+      excludeUrls: [...excludeUrls]
+    };
+    MATCH_OPTION_FIELDS.forEach(field =>
+    {
+      group[field] = raw[field] === true;
+    });
+
+    // Final check through the same rules as saveGroups
+    if (!Storage.isValidGroup({ ...group, id: group.id || 'pending', profileId: 'pending' })) {
+      return { reason: 'invalidGroup' };
+    }
+
+    return { group };
+  }
+
+  /**
+   * Validate an import file and normalise its contents
+   * Invalid groups are dropped and reported in errors; the rest can still be imported
+   * @param {object} data - Parsed JSON from the import file
+   * @returns {{error: string}|{groups: Array, settings: object, errors: Array}}
+   *   error is 'notConfig' or 'newerVersion' when the file can't be used at all;
+   *   errors holds { name, reason } per rejected item (name is null for settings)
+   */
+  function parseImport(data)
+  {
+    if (data === null || typeof data !== 'object' || data.format !== EXPORT_FORMAT ||
+        !Number.isInteger(data.version) || data.version < 1 || !Array.isArray(data.groups)) {
+      return { error: 'notConfig' };
+    }
+
+    if (data.version > EXPORT_VERSION) {
+      return { error: 'newerVersion' };
+    }
+
+    const groups = [];
+    const errors = [];
+    const seenNames = new Set();
+    const escapeRegexWords = !(data.schemaVersion >= REGEX_LITERAL_SCHEMA_VERSION);
+
+    data.groups.forEach((raw, index) =>
+    {
+      const itemName = (raw && typeof raw.name === 'string' && raw.name.trim()) || `#${index + 1}`;
+      const result = normaliseGroup(raw, escapeRegexWords);
+
+      if (result.reason) {
+        errors.push({ name: itemName, reason: result.reason });
+        return;
+      }
+
+      const nameKey = result.group.name.toLowerCase();
+      if (seenNames.has(nameKey)) {
+        errors.push({ name: itemName, reason: 'duplicateName' });
+        return;
+      }
+
+      seenNames.add(nameKey);
+      groups.push(result.group);
+    });
+
+    const settings = {};
+    if (data.settings !== undefined) {
+      const raw = data.settings;
+
+      if (raw !== null && typeof raw === 'object' && typeof raw.enabled === 'boolean') {
+        settings.enabled = raw.enabled;
+      }
+
+      if (raw !== null && typeof raw === 'object' && raw.siteSettings !== undefined) {
+        const siteSettings = { ...DEFAULT_SITE_SETTINGS, ...raw.siteSettings };
+        if (Storage.isValidSiteSettings(siteSettings)) {
+          settings.siteSettings = JSON.parse(JSON.stringify(siteSettings));
+        } else {
+          errors.push({ name: null, reason: 'invalidSettings' });
+        }
+      }
+    }
+
+    return { groups, settings, errors };
+  }
+
+  // ============================================================================
+  // Planning
+  // ============================================================================
+
+  /**
+   * Describe how an imported group differs from the existing one
+   * @param {object} existing - Current group
+   * @param {object} imported - Imported group
+   * @returns {{wordsAdded: number, wordsRemoved: number, fields: Array<string>}}
+   *   fields lists changed areas: 'name', 'colour', 'enabled', 'matchOptions', 'pageScope'
+   */
+  function diffGroup(existing, imported)
+  {
+    const sameList = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+    const fields = [];
+    if (existing.name !== imported.name) fields.push('name');
+    if (existing.colour !== imported.colour || existing.textColor !== imported.textColor) fields.push('colour');
+    if (existing.enabled !== imported.enabled) fields.push('enabled');
+    if (MATCH_OPTION_FIELDS.some(field => (existing[field] === true) !== imported[field])) fields.push('matchOptions');
+    if (!sameList(existing.includeUrls, imported.includeUrls) ||
+        !sameList(existing.excludeUrls, imported.excludeUrls)) {
+      fields.push('pageScope');
+    }
+
+    const wordsAdded = imported.words.filter(word => !existing.words.includes(word)).length;
+    const wordsRemoved = existing.words.filter(word => !imported.words.includes(word)).length;
+
+    // Same words in a different order still counts as a change
+    if (wordsAdded === 0 && wordsRemoved === 0 && !sameList(existing.words, imported.words)) {
+      fields.push('words');
+    }
+
+    return { wordsAdded, wordsRemoved, fields };
+  }
+
+  /**
+   * Find the existing group an imported group corresponds to (by id, then by name)
+   * @param {Array} existingGroups - Current groups
+   * @param {object} group - Imported group
+   * @param {Set<string>} matchedIds - Existing ids already claimed by earlier imported groups
+   * @returns {object|undefined}
+   */
+  function findExistingGroup(existingGroups, group, matchedIds)
+  {
+    const available = existingGroups.filter(g => !matchedIds.has(g.id));
+    const nameKey = group.name.toLowerCase();
+
+    return (group.id && available.find(g => g.id === group.id)) ||
+           available.find(g => g.name.toLowerCase() === nameKey);
+  }
+
+  /**
+   * Work out the result of importing, without saving anything
+   * Merge keeps current groups and adds or updates imported ones (matched by id, then name).
+   * Replace swaps all groups for the imported ones. Groups that would break MAX_GROUPS or
+   * MAX_TOTAL_WORDS are skipped and reported.
+   * @param {Array} existingGroups - Current groups
+   * @param {object} imported - Result of parseImport
+   * @param {string} mode - 'merge' or 'replace'
+   * @param {object} currentSettings - { enabled, siteSettings }
+   * @returns {object} Plan: { mode, groups, added, changed, unchanged, removed, errors, settings, settingsChanged }
+   */
+  function planImport(existingGroups, imported, mode, currentSettings)
+  {
+    const existing = [...existingGroups].sort((a, b) => a.order - b.order);
+    const result = mode === 'replace' ? [] : existing.map(g => ({ ...g }));
+
+    const added = [];
+    const changed = [];
+    const unchanged = [];
+    const errors = [...imported.errors];
+
+    const matchedIds = new Set();
+    const usedIds = new Set(existing.map(g => g.id));
+
+    const countWords = groups => groups.reduce((sum, g) => sum + g.words.length, 0);
+
+    imported.groups.forEach(group =>
+    {
+      const match = findExistingGroup(existing, group, matchedIds);
+      const candidate = { ...group };
+      let index;
+
+      if (match) {
+        // Updates keep the current id and position
+        candidate.id = match.id;
+        index = result.findIndex(g => g.id === match.id);
+      } else {
+        // Avoid id collisions with current groups and earlier imported groups
+        if (!candidate.id || usedIds.has(candidate.id)) {
+          candidate.id = Storage.generateId();
+        }
+        index = -1;
+      }
+
+      const next = [...result];
+      if (index === -1) {
+        next.push(candidate);
+      } else {
+        next[index] = candidate;
+      }
+
+      if (next.length > MAX_GROUPS) {
+        errors.push({ name: group.name, reason: 'groupLimit' });
+        return;
+      }
+
+      if (countWords(next) > MAX_TOTAL_WORDS) {
+        errors.push({ name: group.name, reason: 'wordLimit' });
+        return;
+      }
+
+      result.splice(0, result.length, ...next);
+      usedIds.add(candidate.id);
+
+      if (!match) {
+        added.push(candidate);
+        return;
+      }
+
+      matchedIds.add(match.id);
+      const diff = diffGroup(match, candidate);
+      if (diff.wordsAdded === 0 && diff.wordsRemoved === 0 && diff.fields.length === 0) {
+        unchanged.push(candidate);
+      } else {
+        changed.push({ group: candidate, diff });
+      }
+    });
+
+    result.forEach((group, i) =>
+    {
+      group.order = i;
+    });
+
+    const removed = mode === 'replace' ? existing.filter(g => !matchedIds.has(g.id)) : [];
+
+    // Replace takes the file's settings; merge only adds the file's site lists to the current ones
+    const settings = {
+      enabled: currentSettings.enabled,
+      siteSettings: JSON.parse(JSON.stringify(currentSettings.siteSettings))
+    };
+
+    if (mode === 'replace') {
+      if (imported.settings.enabled !== undefined) {
+        settings.enabled = imported.settings.enabled;
+      }
+      if (imported.settings.siteSettings) {
+        settings.siteSettings = JSON.parse(JSON.stringify(imported.settings.siteSettings));
+      }
+    } else if (imported.settings.siteSettings) {
+      ['allowedSites', 'disabledSites', 'disabledPages'].forEach(listName =>
+      {
+        const merged = [...new Set([...settings.siteSettings[listName], ...imported.settings.siteSettings[listName]])];
+        settings.siteSettings[listName] = merged.slice(0, MAX_SITE_ENTRIES);
+      });
+    }
+
+    const settingsChanged = settings.enabled !== currentSettings.enabled ||
+      JSON.stringify(settings.siteSettings) !== JSON.stringify(currentSettings.siteSettings);
+
+    return { mode, groups: result, added, changed, unchanged, removed, errors, settings, settingsChanged };
+  }
+
+  // ============================================================================
+  // Applying
+  // ============================================================================
+
+  /**
+   * Save the result of planImport into the active profile
+   * @param {object} plan - Result of planImport (planned against the active profile's groups)
+   * @returns {Promise<boolean>} Success status
+   */
+  async function applyImport(plan)
+  {
+    try {
+      const profileId = await Storage.getActiveProfileId();
+      const otherGroups = (await Storage.getGroups()).filter(group => group.profileId !== profileId);
+
+      // Ids only have to be unique within the profile for planning; e.g. a file exported from
+      // another profile would reuse that profile's ids
+      const otherIds = new Set(otherGroups.map(group => group.id));
+      const imported = plan.groups.map(group => ({
+        ...group,
+        id: otherIds.has(group.id) ? Storage.generateId() : group.id,
+        profileId
+      }));
+
+      if (!await Storage.saveGroups([...otherGroups, ...imported])) {
+        return false;
+      }
+
+      if (plan.settingsChanged) {
+        const settingsSaved = await Storage.saveSiteSettings(plan.settings.siteSettings) &&
+                              await Storage.setEnabled(plan.settings.enabled);
+        if (!settingsSaved) {
+          return false;
+        }
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error applying import', error);
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    buildExport,
+    parseImport,
+    planImport,
+    applyImport
+  };
+})();
+
+console.log('Live Highlighter: Import/export module loaded');
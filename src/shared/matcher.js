@@ -0,0 +1,567 @@
+// Live Highlighter - Rule Matching Engine
+
+/**
+ * Rules are compiled once per rules change (see flattenGroupsToRules in content.js) into:
+ *   - Aho-Corasick automata over the literal words, one per combination of the caseSensitive and
+ *     ignoreAccents options in use. Each scans its own view of the text: as it is, case-folded,
+ *     accent-folded, or both. A word shared by several rules is stored once per automaton.
+ *   - A RegExp per regex rule, reused for every text. Regex rules may be written as /pattern/flags
+ *     to set their own flags (see parseRegex).
+ *
+ * findMatches scans a text once per automaton and once per regex, then resolves overlaps by rule
+ * priority: candidates are taken in rule order, then text order, and kept unless they overlap one
+ * already kept. Kept matches are a sorted list of disjoint intervals, searched by binary search.
+ * Matches found in an accent-folded view are mapped back to offsets in the original text.
+ *
+ * Loaded by the content script and by its match worker (src/content/match-worker.js), and wherever
+ * storage.js validates regex rules (the options page and the service worker).
+ */
+
+// Extend LiveHighlighter namespace with matching functions
+LiveHighlighter.Matcher = (function ()
+{
+  'use strict';
+
+  // ============================================================================
+  // Text Helpers
+  // ============================================================================
+
+  // Word characters: letters, combining marks and numbers in any script, and "_" (as in \w)
+  const WORD_CHAR = /^[\p{L}\p{M}\p{N}_]$/u;
+
+  // Scripts written without spaces between words, whose word boundaries come from Intl.Segmenter
+  const UNSPACED_CHAR = /^[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Thai}\p{scx=Lao}\p{scx=Khmer}\p{scx=Myanmar}]$/u;
+
+  // Intl.Segmenter per language (see getSegmenter)
+  const segmenters = new Map();
+
+  /**
+   * Check whether a character is part of a word
+   * @param {string} char - One character (code point)
+   * @returns {boolean}
+   */
+  function isWordChar(char)
+  {
+    const code = char.charCodeAt(0);
+    if (code < 128) {
+      return (code >= 48 && code <= 57) ||   // 0-9
+             (code >= 65 && code <= 90) ||   // A-Z
+             (code >= 97 && code <= 122) ||  // a-z
+             code === 95;                    // _
+    }
+    return WORD_CHAR.test(char);
+  }
+
+  /**
+   * Get the character (code point) starting at a position
+   * @param {string} text - Text
+   * @param {number} position - Position in text
+   * @returns {string} The character, or '' at the end of text
+   */
+  function charAt(text, position)
+  {
+    return position < text.length ? String.fromCodePoint(text.codePointAt(position)) : '';
+  }
+
+  /**
+   * Get the character (code point) ending at a position
+   * @param {string} text - Text
+   * @param {number} position - Position in text
+   * @returns {string} The character, or '' at the start of text
+   */
+  function charBefore(text, position)
+  {
+    if (position === 0) return '';
+    const code = text.charCodeAt(position - 1);
+    const isLowSurrogate = code >= 0xDC00 && code <= 0xDFFF && position >= 2;
+    return text.slice(isLowSurrogate ? position - 2 : position - 1, position);
+  }
+
+  /**
+   * Get a word segmenter for a language
+   * @param {string} [lang] - BCP 47 language tag (e.g. a page's lang attribute); invalid or empty
+   *   tags use the browser's default language
+   * @returns {Intl.Segmenter|null} null if Intl.Segmenter isn't available
+   */
+  function getSegmenter(lang = '')
+  {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+
+    if (!segmenters.has(lang)) {
+      let segmenter;
+      try {
+        segmenter = new Intl.Segmenter(lang || undefined, { granularity: 'word' });
+      } catch (e) {
+        segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+      }
+      segmenters.set(lang, segmenter);
+    }
+    return segmenters.get(lang);
+  }
+
+  /**
+   * Get a function that finds the word boundaries of a text the first time it's called
+   * @param {string} text - Text
+   * @param {string} [lang] - Language of the text
+   * @returns {function(): Set<number>|null} Positions where words start or end (null without Intl.Segmenter)
+   */
+  function lazyWordBoundaries(text, lang)
+  {
+    let boundaries;
+    return () =>
+    {
+      if (boundaries === undefined) {
+        const segmenter = getSegmenter(lang);
+        boundaries = segmenter ? new Set([text.length]) : null;
+        if (segmenter) {
+          for (const { index } of segmenter.segment(text)) {
+            boundaries.add(index);
+          }
+        }
+      }
+      return boundaries;
+    };
+  }
+
+  /**
+   * Check whether one side of a match is a word boundary
+   * Between letters of a script written without spaces (Chinese, Japanese, Thai...) the boundary
+   * comes from word segmentation; anywhere else it needs a character outside the match that isn't
+   * a letter, mark, number or "_".
+   * @param {number} position - Position of the side in the text
+   * @param {string} outside - Character just outside the match ('' at the edge of the text)
+   * @param {string} inside - Character just inside the match
+   * @param {function(): Set<number>|null} getBoundaries - From lazyWordBoundaries
+   * @returns {boolean}
+   */
+  function isWordEdge(position, outside, inside, getBoundaries)
+  {
+    if (!outside) return true;
+
+    if (UNSPACED_CHAR.test(outside) || UNSPACED_CHAR.test(inside)) {
+      const boundaries = getBoundaries();
+      if (boundaries) return boundaries.has(position);
+    }
+
+    return !isWordChar(outside);
+  }
+
+  /**
+   * Check whether a match has word boundaries on both sides
+   * @param {string} text - Text searched
+   * @param {number} start - Match start
+   * @param {number} end - Match end (exclusive)
+   * @param {function(): Set<number>|null} [getBoundaries] - Word boundaries of text (see
+   *   lazyWordBoundaries), only used next to scripts written without spaces
+   * @returns {boolean}
+   */
+  function isWholeWord(text, start, end, getBoundaries = lazyWordBoundaries(text))
+  {
+    return isWordEdge(start, charBefore(text, start), charAt(text, start), getBoundaries) &&
+           isWordEdge(end, charAt(text, end), charBefore(text, end), getBoundaries);
+  }
+
+  /**
+   * Fold text for case-insensitive matching without moving any character
+   * Characters whose lower case is longer (e.g. "İ") are kept as they are, and final sigma is
+   * folded like any other sigma, so offsets in the folded text are offsets in the original.
+   * @param {string} text - Text to fold
+   * @returns {string} Folded text, the same length as text
+   */
+  function foldCase(text)
+  {
+    let folded = text.toLowerCase();
+
+    if (folded.length !== text.length) {
+      folded = '';
+      for (const char of text) {
+        const lower = char.toLowerCase();
+        folded += lower.length === char.length ? lower : char;
+      }
+    }
+
+    return folded.includes('ς') ? folded.replace(/ς/g, 'σ') : folded;
+  }
+
+  // Combining diacritical marks, removed from decomposed (NFD) characters when ignoring accents
+  const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+  // Letters with a stroke, which don't decompose
+  const UNACCENTED_LETTERS = { 'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D' };
+
+  /**
+   * Remove accents and other diacritics from text, keeping a map back to the original offsets
+   * Each character is decomposed (NFD) and loses its combining marks, so "é" and "e\u0301" both
+   * become "e". Characters that don't lose a mark are kept as they are (Hangul syllables are not
+   * split into jamo), and marks on their own are dropped and count as part of the character before.
+   * @param {string} text - Text to fold
+   * @returns {{text: string, offsets: Array<number>|null}} Folded text, and for each of its
+   *   positions (and its end) the position in text - null when nothing changed
+   */
+  function foldAccents(text)
+  {
+    // Nothing below U+00C0 ("À") decomposes
+    if (!/[^\u0000-\u00bf]/.test(text)) return { text, offsets: null };
+
+    let folded = '';
+    const offsets = [];
+
+    for (let i = 0; i < text.length;) {
+      const char = String.fromCodePoint(text.codePointAt(i));
+      let base = char;
+
+      if (char.charCodeAt(0) >= 0xC0) {
+        const decomposed = char.normalize('NFD');
+        const stripped = decomposed.replace(COMBINING_MARKS, '');
+        base = UNACCENTED_LETTERS[char] || (stripped.length < decomposed.length ? stripped : char);
+      }
+
+      for (let k = 0; k < base.length; k++) {
+        offsets.push(base === char ? i + k : i);
+      }
+      folded += base;
+      i += char.length;
+    }
+    offsets.push(text.length);
+
+    return { text: folded, offsets };
+  }
+
+  // ============================================================================
+  // Regex Rules
+  // ============================================================================
+
+  // Flags a regex rule may set after its closing slash ("g" is always on, so it's accepted too)
+  const REGEX_FLAGS = /^[gimsuv]*$/;
+
+  /**
+   * Split a regex rule into its pattern and flags
+   * Rules written as /pattern/flags set their own flags. Anything else is a pattern without flags,
+   * so "a/b" and "/usr/bin" are patterns as written.
+   * @param {string} text - Regex rule as entered
+   * @returns {{source: string, flags: string}}
+   */
+  function parseRegex(text)
+  {
+    const slash = text.lastIndexOf('/');
+    if (text.startsWith('/') && slash > 0 && REGEX_FLAGS.test(text.slice(slash + 1))) {
+      return { source: text.slice(1, slash), flags: text.slice(slash + 1) };
+    }
+    return { source: text, flags: '' };
+  }
+
+  /**
+   * Build the RegExp for a regex rule
+   * @param {string} text - Regex rule as entered (pattern, or /pattern/flags)
+   * @returns {RegExp} Global RegExp
+   * @throws {SyntaxError} If the pattern or flags are invalid, or the pattern is empty
+   */
+  function compileRegex(text)
+  {
+    const { source, flags } = parseRegex(text);
+    if (!source) {
+      throw new SyntaxError('Empty pattern');
+    }
+    return new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+  }
+
+  // ============================================================================
+  // Aho-Corasick Automaton
+  // ============================================================================
+
+  /**
+   * Build an automaton over a set of words
+   * @param {Array<{text: string, rules: Array}>} patterns - Distinct words with the rules that use them
+   * @returns {{patterns: Array, children: Array<Map<number, number>>, fail: Int32Array,
+   *   outputs: Array<Array<number>|null>, outputLink: Int32Array}}
+   */
+  function buildAutomaton(patterns)
+  {
+    // Trie of the words (node 0 is the root)
+    const children = [new Map()];
+    const outputs = [null];
+
+    patterns.forEach((pattern, patternIndex) =>
+    {
+      let node = 0;
+      for (let i = 0; i < pattern.text.length; i++) {
+        const code = pattern.text.charCodeAt(i);
+        let next = children[node].get(code);
+        if (next === undefined) {
+          next = children.length;
+          children.push(new Map());
+          outputs.push(null);
+          children[node].set(code, next);
+        }
+        node = next;
+      }
+      (outputs[node] = outputs[node] || []).push(patternIndex);
+    });
+
+    // Failure links (longest proper suffix that is also in the trie), breadth first, and output
+    // links (nearest node along the failure chain where a word ends)
+    const fail = new Int32Array(children.length);
+    const outputLink = new Int32Array(children.length).fill(-1);
+    const queue = [];
+
+    children[0].forEach(child =>
+    {
+      fail[child] = 0;
+      queue.push(child);
+    });
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+
+      children[node].forEach((child, code) =>
+      {
+        let state = fail[node];
+        while (state > 0 && !children[state].has(code)) {
+          state = fail[state];
+        }
+        const target = children[state].get(code);
+        fail[child] = target !== undefined && target !== child ? target : 0;
+        outputLink[child] = outputs[fail[child]] ? fail[child] : outputLink[fail[child]];
+        queue.push(child);
+      });
+    }
+
+    return { patterns, children, fail, outputs, outputLink };
+  }
+
+  /**
+   * Find every occurrence of the automaton's words in a text (overlapping ones included)
+   * @param {object} automaton - From buildAutomaton
+   * @param {string} text - Text to scan (case- or accent-folded as the automaton's words are)
+   * @param {function(number, number, object): void} onMatch - Called with (start, end, pattern)
+   */
+  function scanAutomaton(automaton, text, onMatch)
+  {
+    const { patterns, children, fail, outputs, outputLink } = automaton;
+    let state = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+
+      let next = children[state].get(code);
+      while (next === undefined && state > 0) {
+        state = fail[state];
+        next = children[state].get(code);
+      }
+      state = next === undefined ? 0 : next;
+
+      for (let node = outputs[state] ? state : outputLink[state]; node > 0; node = outputLink[node]) {
+        outputs[node].forEach(patternIndex =>
+        {
+          const pattern = patterns[patternIndex];
+          onMatch(i + 1 - pattern.text.length, i + 1, pattern);
+        });
+      }
+    }
+  }
+
+  // ============================================================================
+  // Compilation
+  // ============================================================================
+
+  /**
+   * Compile rules for findMatches
+   * @param {Array} rules - Rules in priority order (see flattenGroupsToRules)
+   * @returns {object} Compiled matcher
+   */
+  function compile(rules)
+  {
+    // Words by view of the text they're matched in: Map<"caseSensitive:ignoreAccents", Map<word, pattern>>
+    const literals = new Map();
+    const regexes = [];
+
+    rules.forEach((rule, priority) =>
+    {
+      if (!rule.enabled || !rule.text) return;
+
+      if (rule.useRegex) {
+        try {
+          regexes.push({ rule, priority, regex: compileRegex(rule.text) });
+        } catch (e) {
+          // Invalid pattern - skipped (new patterns are validated when saved, and the options page
+          // flags any saved before)
+        }
+        return;
+      }
+
+      const caseSensitive = !!rule.caseSensitive;
+      const ignoreAccents = !!rule.ignoreAccents;
+      const key = `${caseSensitive}:${ignoreAccents}`;
+      if (!literals.has(key)) {
+        literals.set(key, { caseSensitive, ignoreAccents, patterns: new Map() });
+      }
+
+      const { patterns } = literals.get(key);
+      const folded = ignoreAccents ? foldAccents(rule.text).text : rule.text;
+      const text = caseSensitive ? folded : foldCase(folded);
+      if (!patterns.has(text)) {
+        patterns.set(text, { text, rules: [] });
+      }
+      patterns.get(text).rules.push({ rule, priority });
+    });
+
+    return {
+      rules,
+      automata: [...literals.values()].map(({ caseSensitive, ignoreAccents, patterns }) =>
+        ({ caseSensitive, ignoreAccents, automaton: buildAutomaton([...patterns.values()]) })),
+      regexes
+    };
+  }
+
+  // ============================================================================
+  // Matching
+  // ============================================================================
+
+  /**
+   * Find all rule matches in a string, resolving overlaps by rule priority
+   * @param {object} matcher - From compile
+   * @param {string} text - Text to search
+   * @param {function} [canMatch] - Optional (start, end, rule) => boolean filter,
+   *   applied before overlap resolution so a rejected match doesn't block others
+   * @param {string} [lang] - Language of the text (the page's lang attribute), for finding whole
+   *   words in scripts written without spaces
+   * @returns {Array<{start: number, end: number, rule: object}>} Non-overlapping matches in text order
+   */
+  function findMatches(matcher, text, canMatch = () => true, lang = '')
+  {
+    const candidates = [];
+    let unaccented = null;
+
+    matcher.automata.forEach(({ caseSensitive, ignoreAccents, automaton }) =>
+    {
+      // Whole words are checked in the view scanned, offsets are mapped back to the text
+      const view = ignoreAccents ? (unaccented = unaccented || foldAccents(text)) : { text, offsets: null };
+      const scanned = caseSensitive ? view.text : foldCase(view.text);
+      const { offsets } = view;
+      const getBoundaries = lazyWordBoundaries(scanned, lang);
+
+      scanAutomaton(automaton, scanned, (start, end, pattern) =>
+      {
+        pattern.rules.forEach(({ rule, priority }) =>
+        {
+          if (rule.matchWholeWord && !isWholeWord(scanned, start, end, getBoundaries)) return;
+          if (offsets) {
+            // A match ending inside a folded character can't be mapped back - skip it
+            if (offsets[end] > offsets[start]) {
+              candidates.push({ start: offsets[start], end: offsets[end], rule, priority });
+            }
+          } else {
+            candidates.push({ start, end, rule, priority });
+          }
+        });
+      });
+    });
+
+    matcher.regexes.forEach(({ rule, priority, regex }) =>
+    {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        // Prevent infinite loops on zero-length matches
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        candidates.push({ start: match.index, end: match.index + match[0].length, rule, priority });
+      }
+    });
+
+    if (candidates.length === 0) return [];
+
+    // Highest priority first, then left to right
+    candidates.sort((a, b) => a.priority - b.priority || a.start - b.start);
+
+    // Kept matches, sorted by start and disjoint
+    const kept = [];
+    candidates.forEach(candidate =>
+    {
+      const { start, end, rule } = candidate;
+
+      // Last kept match starting before this one ends - the only one that can overlap it
+      let low = 0;
+      let high = kept.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (kept[mid].start < end) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      if (low > 0 && kept[low - 1].end > start) return;
+
+      if (canMatch(start, end, rule)) {
+        kept.splice(low, 0, { start, end, rule });
+      }
+    });
+
+    return kept;
+  }
+
+  /**
+   * Find the matches in a text run - the text of adjacent text nodes joined together
+   * Matches may only span several nodes for rules that opt in (matchAcrossElements).
+   * @param {object} matcher - From compile
+   * @param {string} text - Flattened text of the run
+   * @param {Array<number>} nodeOffsets - Start offset of each node in text (ascending)
+   * @param {string} [lang] - Language of the text (see findMatches)
+   * @returns {Array<{start: number, end: number, rule: object}>} Non-overlapping matches in text order
+   */
+  function findRunMatches(matcher, text, nodeOffsets, lang = '')
+  {
+    const isSingleNode = nodeOffsets.length === 1;
+    return findMatches(matcher, text, (start, end, rule) =>
+      isSingleNode ||
+      rule.matchAcrossElements ||
+      findNodeIndex(nodeOffsets, start) === findNodeIndex(nodeOffsets, end - 1),
+    lang);
+  }
+
+  /**
+   * Find the index of the node containing a character of the flattened text
+   * @param {Array<number>} nodeOffsets - Start offset of each node (ascending)
+   * @param {number} position - Character index in the flattened text
+   * @returns {number} Index into the run's text nodes
+   */
+  function findNodeIndex(nodeOffsets, position)
+  {
+    // Binary search for the last node starting at or before position
+    // (empty nodes share an offset with their successor and are skipped)
+    let low = 0;
+    let high = nodeOffsets.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (nodeOffsets[mid] <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    compile,
+    compileRegex,
+    findMatches,
+    findRunMatches,
+    findNodeIndex,
+
+    // Exposed for tests
+    foldCase,
+    foldAccents,
+    isWholeWord,
+    parseRegex
+  };
+})();
+
+console.log('Live Highlighter: Matcher module loaded');
@@ -4,6 +4,7 @@
  * Group object schema:
  * {
  *   id: string,             // UUID
+ *   profileId: string,      // Profile the group belongs to
  *   name: string,           // Group name (e.g., "Team Names")
  *   colour: string,         // Hex colour for all words in group
  *   textColor: string,      // Text color for readability
@@ -12,7 +13,28 @@
  *   words: string[],        // Array of words to highlight
  *   matchWholeWord: boolean,// Match whole words only (default: false)
  *   caseSensitive: boolean, // Case sensitive matching (default: false)
- *   useRegex: boolean       // Use regular expressions (default: false)
+ *   ignoreAccents: boolean, // Match with or without accents, e.g. "Jose" and "José" (default: false)
+ *   useRegex: boolean,      // Words are regular expressions, optionally written as /pattern/flags (default: false)
+ *   matchAcrossElements: boolean, // Match text split across inline elements (default: false)
+ *   alert: boolean,         // Notify when words newly appear on a page (default: false)
+ *   includeUrls: string[],  // Only highlight on pages matching one of these (default: [] = all pages)
+ *   excludeUrls: string[]   // Never highlight on pages matching one of these (default: [])
+ * }
+ *
+ * Profile object schema (a named set of groups; one profile is active at a time):
+ * {
+ *   id: string,             // UUID ('default' for the profile created on install)
+ *   name: string,           // Profile name (e.g., "Cloud Ops")
+ *   urlPatterns: string[]   // Use this profile instead of the active one on matching pages (default: [])
+ * }
+ * Limits on groups and words apply to each profile separately.
+ *
+ * Site settings schema (see DEFAULT_SITE_SETTINGS):
+ * {
+ *   allowlistMode: boolean, // Only highlight on allowedSites
+ *   allowedSites: string[], // Hostnames, subdomains included
+ *   disabledSites: string[],// Hostnames, subdomains included
+ *   disabledPages: string[] // Page URLs without the #hash
  * }
  */
 
@@ -26,10 +48,20 @@ LiveHighlighter.Storage = (function ()
     MAX_GROUPS,
     MAX_WORDS_PER_GROUP,
     MAX_TOTAL_WORDS,
+    MAX_URL_PATTERNS_PER_GROUP,
+    MAX_SITE_ENTRIES,
+    MAX_HISTORY_ENTRIES,
+    MAX_HISTORY_BYTES,
+    MAX_PROFILES,
     PRESET_COLOURS,
     DEFAULT_GROUP,
+    DEFAULT_PROFILE,
     STORAGE_KEYS,
-    DEFAULT_SETTINGS
+    DEFAULT_SETTINGS,
+    DEFAULT_SITE_SETTINGS,
+    HEX_COLOUR_PATTERN,
+    TIME_PATTERN,
+    SYNC_TOMBSTONE_TTL_MS
   } = LiveHighlighter;
 
   // ============================================================================
@@ -45,7 +77,7 @@ LiveHighlighter.Storage = (function ()
   {
     // Accept any valid hex color format (#RGB, #RRGGBB, or #RRGGBBAA)
     if (typeof colour !== 'string') return false;
-    return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/.test(colour);
+    return HEX_COLOUR_PATTERN.test(colour);
   }
 
   /**
@@ -68,6 +100,45 @@ LiveHighlighter.Storage = (function ()
     return typeof word === 'string' && word.trim().length > 0 && word.length <= 100;
   }
 
+  /**
+   * Check a word of a regex group (needs matcher.js)
+   * @param {string} word - Pattern, or /pattern/flags
+   * @returns {string|null} Why the pattern is invalid, or null if it's valid
+   */
+  function getRegexError(word)
+  {
+    try {
+      LiveHighlighter.Matcher.compileRegex(String(word).trim());
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Keep the meaning a regex word had before /pattern/flags was supported (needs matcher.js)
+   * Words such as "/api/" used to match their slashes; escaping them ("\/api\/") still does.
+   * @param {string} word - Regex word
+   * @returns {string} The word with its unescaped slashes escaped, or unchanged if it isn't read
+   *   as /pattern/flags (or escaping would make it too long)
+   */
+  function escapeRegexLiteral(word)
+  {
+    if (typeof word !== 'string' || LiveHighlighter.Matcher.parseRegex(word).source === word) {
+      return word;
+    }
+
+    const escaped = word.replace(/\\.|\//g, match => (match === '/' ? '\\/' : match));
+    if (isValidWord(escaped)) return escaped;
+
+    // Escaping the leading slash alone is enough to stop the split
+    const leading = '\\' + word;
+    if (isValidWord(leading)) return leading;
+
+    console.warn('Live Highlighter: Regex word too long to escape', word);
+    return word;
+  }
+
   /**
    * Validate if words array is valid
    * @param {Array<string>} words - Array of words
@@ -80,6 +151,133 @@ LiveHighlighter.Storage = (function ()
            words.every(isValidWord);
   }
 
+  /**
+   * Validate if URL pattern array is valid (see url-patterns.js for syntax)
+   * @param {Array<string>} patterns - Array of match patterns or globs
+   * @returns {boolean}
+   */
+  function isValidUrlPatternArray(patterns)
+  {
+    return Array.isArray(patterns) &&
+           patterns.length <= MAX_URL_PATTERNS_PER_GROUP &&
+           patterns.every(LiveHighlighter.UrlPatterns.isValidPattern);
+  }
+
+  /**
+   * Validate if a group object has all required fields with valid values
+   * @param {object} group - Group object
+   * @returns {boolean}
+   */
+  function isValidGroup(group)
+  {
+    return group !== null &&
+           typeof group === 'object' &&
+           !!group.id &&
+           typeof group.profileId === 'string' && group.profileId.length > 0 &&
+           isValidGroupName(group.name) &&
+           isValidColour(group.colour) &&
+           isValidColour(group.textColor) &&
+           typeof group.enabled === 'boolean' &&
+           typeof group.order === 'number' &&
+           isValidWordsArray(group.words) &&
+           (group.includeUrls === undefined || isValidUrlPatternArray(group.includeUrls)) &&
+           (group.excludeUrls === undefined || isValidUrlPatternArray(group.excludeUrls));
+  }
+
+  /**
+   * Check the group and word limits, which apply to each profile separately
+   * @param {Array} groups - Array of group objects
+   * @returns {boolean}
+   */
+  function isWithinGroupLimits(groups)
+  {
+    const counts = new Map();
+    groups.forEach(group =>
+    {
+      const count = counts.get(group.profileId) || { groups: 0, words: 0 };
+      count.groups++;
+      count.words += group.words.length;
+      counts.set(group.profileId, count);
+    });
+
+    return [...counts.values()].every(count => count.groups <= MAX_GROUPS && count.words <= MAX_TOTAL_WORDS);
+  }
+
+  /**
+   * Validate if a profile object has all required fields with valid values
+   * @param {object} profile - Profile object
+   * @returns {boolean}
+   */
+  function isValidProfile(profile)
+  {
+    return profile !== null &&
+           typeof profile === 'object' &&
+           typeof profile.id === 'string' && profile.id.length > 0 &&
+           isValidGroupName(profile.name) &&
+           isValidUrlPatternArray(profile.urlPatterns);
+  }
+
+  /**
+   * Validate a complete profile list (at least one profile, unique ids)
+   * @param {Array} profiles - Array of profile objects
+   * @returns {boolean}
+   */
+  function isValidProfileArray(profiles)
+  {
+    return Array.isArray(profiles) &&
+           profiles.length > 0 &&
+           profiles.length <= MAX_PROFILES &&
+           profiles.every(isValidProfile) &&
+           new Set(profiles.map(profile => profile.id)).size === profiles.length;
+  }
+
+  /**
+   * Validate if hostname is valid (lowercase, as produced by URL.hostname)
+   * @param {string} hostname - Hostname to validate
+   * @returns {boolean}
+   */
+  function isValidHostname(hostname)
+  {
+    return typeof hostname === 'string' &&
+           hostname.length > 0 &&
+           hostname.length <= 253 &&
+           /^[a-z0-9.:\[\]-]+$/.test(hostname);
+  }
+
+  /**
+   * Validate if page URL is valid
+   * @param {string} url - Page URL to validate
+   * @returns {boolean}
+   */
+  function isValidPageUrl(url)
+  {
+    if (typeof url !== 'string' || url.length > 2048) return false;
+    try {
+      new URL(url);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Validate if site settings object is valid
+   * @param {object} settings - Site settings object
+   * @returns {boolean}
+   */
+  function isValidSiteSettings(settings)
+  {
+    const isValidList = (list, isValidEntry) =>
+      Array.isArray(list) && list.length <= MAX_SITE_ENTRIES && list.every(isValidEntry);
+
+    return settings !== null &&
+           typeof settings === 'object' &&
+           typeof settings.allowlistMode === 'boolean' &&
+           isValidList(settings.allowedSites, isValidHostname) &&
+           isValidList(settings.disabledSites, isValidHostname) &&
+           isValidList(settings.disabledPages, isValidPageUrl);
+  }
+
   // ============================================================================
   // Core Storage Functions
   // ============================================================================
@@ -103,10 +301,18 @@ LiveHighlighter.Storage = (function ()
 
   /**
    * Save groups to storage
+   * Changed groups get a new updatedAt timestamp and removed groups are recorded as tombstones,
+   * so sync can resolve conflicts between devices per group. The groups and profiles the
+   * save replaces are recorded in the undo history (sync merges are not recorded)
    * @param {Array} groups - Array of group objects
+   * @param {object} [options]
+   * @param {Array} [options.profiles] - Save this profile list in the same write (timestamped like groups)
+   * @param {object} [options.tombstones] - Sync merges only: save these tombstones and keep timestamps as given
+   * @param {object} [options.history] - Undo/redo only: { updates, removedKeys } to write to the history
+   *   instead of recording the change
    * @returns {Promise<boolean>} Success status
    */
-  async function saveGroups(groups)
+  async function saveGroups(groups, options = {})
   {
     try {
       // Validate groups array
@@ -115,36 +321,73 @@ LiveHighlighter.Storage = (function ()
         return false;
       }
 
-      // Enforce MAX_GROUPS limit
-      if (groups.length > MAX_GROUPS) {
-        console.warn(`Live Highlighter: Cannot save more than ${MAX_GROUPS} groups`);
+      // Validate each group has required fields
+      const validGroups = groups.every(isValidGroup);
+
+      if (!validGroups) {
+        console.error('Live Highlighter: Invalid group structure');
         return false;
       }
 
-      // Enforce total word count limit
-      const totalWords = groups.reduce((sum, g) => sum + g.words.length, 0);
-      if (totalWords > MAX_TOTAL_WORDS) {
-        console.warn(`Live Highlighter: Cannot save more than ${MAX_TOTAL_WORDS} words total`);
+      // Enforce MAX_GROUPS and MAX_TOTAL_WORDS in every profile
+      if (!isWithinGroupLimits(groups)) {
+        console.warn(`Live Highlighter: Cannot save more than ${MAX_GROUPS} groups or ${MAX_TOTAL_WORDS} words in a profile`);
         return false;
       }
 
-      // Validate each group has required fields
-      const validGroups = groups.every(group =>
-        group.id &&
-        isValidGroupName(group.name) &&
-        isValidColour(group.colour) &&
-        isValidColour(group.textColor) &&
-        typeof group.enabled === 'boolean' &&
-        typeof group.order === 'number' &&
-        isValidWordsArray(group.words)
-      );
-
-      if (!validGroups) {
-        console.error('Live Highlighter: Invalid group structure');
+      if (options.profiles !== undefined && !isValidProfileArray(options.profiles)) {
+        console.error('Live Highlighter: Invalid profile list');
         return false;
       }
 
-      await chrome.storage.local.set({ [STORAGE_KEYS.GROUPS]: groups });
+      if (options.tombstones) {
+        const updates = {
+          [STORAGE_KEYS.GROUPS]: groups,
+          [STORAGE_KEYS.GROUP_TOMBSTONES]: options.tombstones
+        };
+        if (options.profiles) {
+          updates[STORAGE_KEYS.PROFILES] = options.profiles;
+        }
+        await chrome.storage.local.set(updates);
+        return true;
+      }
+
+      const now = Date.now();
+      const previous = await getGroups();
+      const previousProfiles = await getProfiles();
+      const tombstones = await getGroupTombstones();
+      const stamped = stampItems(previous, groups, tombstones, now);
+
+      const updates = {
+        [STORAGE_KEYS.GROUPS]: stamped,
+        [STORAGE_KEYS.GROUP_TOMBSTONES]: tombstones
+      };
+
+      let profilesChanged = false;
+      if (options.profiles) {
+        updates[STORAGE_KEYS.PROFILES] = stampItems(previousProfiles, options.profiles, tombstones, now);
+        profilesChanged = !isSameItemList(previousProfiles, updates[STORAGE_KEYS.PROFILES]);
+      }
+
+      let removedKeys = [];
+      if (options.history) {
+        Object.assign(updates, options.history.updates);
+        removedKeys = options.history.removedKeys;
+      } else if (profilesChanged || !isSameItemList(previous, stamped)) {
+        // Only the groups and profiles that changed are recorded
+        const history = await getHistory();
+        removedKeys = history.redo.map(item => item.key);
+        history.redo = [];
+        removedKeys.push(...addHistoryEntry(history, 'undo', {
+          groups: diffItems(stamped, previous),
+          profiles: diffItems(updates[STORAGE_KEYS.PROFILES] || previousProfiles, previousProfiles)
+        }, updates));
+      }
+
+      await chrome.storage.local.set(updates);
+      if (removedKeys.length > 0) {
+        await chrome.storage.local.remove(removedKeys);
+      }
       return true;
     } catch (error) {
       console.error('Live Highlighter: Error saving groups', error);
@@ -152,6 +395,21 @@ LiveHighlighter.Storage = (function ()
     }
   }
 
+  /**
+   * Get tombstones for deleted groups
+   * @returns {Promise<object>} Map of group id to deletion time (ms)
+   */
+  async function getGroupTombstones()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.GROUP_TOMBSTONES);
+      return { ...(result[STORAGE_KEYS.GROUP_TOMBSTONES] || {}) };
+    } catch (error) {
+      console.error('Live Highlighter: Error getting group tombstones', error);
+      return {};
+    }
+  }
+
   /**
    * Get global enabled state
    * @returns {Promise<boolean>} Whether highlighting is enabled
@@ -170,29 +428,534 @@ LiveHighlighter.Storage = (function ()
   }
 
   /**
-   * Set global enabled state
-   * @param {boolean} enabled - Whether highlighting should be enabled
-   * @returns {Promise<boolean>} Success status
+   * Set global enabled state
+   * @param {boolean} enabled - Whether highlighting should be enabled
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setEnabled(enabled)
+  {
+    try {
+      if (typeof enabled !== 'boolean') {
+        console.error('Live Highlighter: setEnabled requires a boolean');
+        return false;
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.ENABLED]: enabled });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error setting enabled state', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get whether highlight markers are shown along the scrollbar
+   * @returns {Promise<boolean>}
+   */
+  async function getShowMinimap()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SHOW_MINIMAP);
+      return result[STORAGE_KEYS.SHOW_MINIMAP] !== undefined
+        ? result[STORAGE_KEYS.SHOW_MINIMAP]
+        : DEFAULT_SETTINGS.showMinimap;
+    } catch (error) {
+      console.error('Live Highlighter: Error getting minimap setting', error);
+      return DEFAULT_SETTINGS.showMinimap;
+    }
+  }
+
+  /**
+   * Show or hide highlight markers along the scrollbar
+   * @param {boolean} show - Whether to show the markers
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setShowMinimap(show)
+  {
+    try {
+      if (typeof show !== 'boolean') {
+        console.error('Live Highlighter: setShowMinimap requires a boolean');
+        return false;
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.SHOW_MINIMAP]: show });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error setting minimap setting', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the toolbar badge settings
+   * @returns {Promise<{showBadge: boolean, badgeGroupColour: boolean}>}
+   */
+  async function getBadgeSettings()
+  {
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEYS.SHOW_BADGE, STORAGE_KEYS.BADGE_GROUP_COLOUR]);
+      return {
+        showBadge: result[STORAGE_KEYS.SHOW_BADGE] !== undefined
+          ? result[STORAGE_KEYS.SHOW_BADGE]
+          : DEFAULT_SETTINGS.showBadge,
+        badgeGroupColour: result[STORAGE_KEYS.BADGE_GROUP_COLOUR] !== undefined
+          ? result[STORAGE_KEYS.BADGE_GROUP_COLOUR]
+          : DEFAULT_SETTINGS.badgeGroupColour
+      };
+    } catch (error) {
+      console.error('Live Highlighter: Error getting badge settings', error);
+      return { showBadge: DEFAULT_SETTINGS.showBadge, badgeGroupColour: DEFAULT_SETTINGS.badgeGroupColour };
+    }
+  }
+
+  /**
+   * Update the toolbar badge settings
+   * @param {object} settings - { showBadge?: boolean, badgeGroupColour?: boolean }
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setBadgeSettings(settings)
+  {
+    try {
+      const updates = {};
+      if (typeof settings.showBadge === 'boolean') {
+        updates[STORAGE_KEYS.SHOW_BADGE] = settings.showBadge;
+      }
+      if (typeof settings.badgeGroupColour === 'boolean') {
+        updates[STORAGE_KEYS.BADGE_GROUP_COLOUR] = settings.badgeGroupColour;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        console.error('Live Highlighter: setBadgeSettings requires showBadge or badgeGroupColour');
+        return false;
+      }
+
+      await chrome.storage.local.set(updates);
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error setting badge settings', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the quiet hours, when alert groups don't raise notifications
+   * @returns {Promise<{enabled: boolean, start: string, end: string}>} start and end are HH:MM;
+   *   an end before the start runs past midnight
+   */
+  async function getQuietHours()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.QUIET_HOURS);
+      return { ...DEFAULT_SETTINGS.quietHours, ...(result[STORAGE_KEYS.QUIET_HOURS] || {}) };
+    } catch (error) {
+      console.error('Live Highlighter: Error getting quiet hours', error);
+      return { ...DEFAULT_SETTINGS.quietHours };
+    }
+  }
+
+  /**
+   * Update the quiet hours
+   * @param {object} quietHours - { enabled?: boolean, start?: string, end?: string } (times as HH:MM)
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setQuietHours(quietHours)
+  {
+    try {
+      if ((quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') ||
+          (quietHours.start !== undefined && !TIME_PATTERN.test(quietHours.start)) ||
+          (quietHours.end !== undefined && !TIME_PATTERN.test(quietHours.end))) {
+        console.error('Live Highlighter: Invalid quiet hours', quietHours);
+        return false;
+      }
+
+      const current = await getQuietHours();
+      const { enabled, start, end } = { ...current, ...quietHours };
+      await chrome.storage.local.set({ [STORAGE_KEYS.QUIET_HOURS]: { enabled, start, end } });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error setting quiet hours', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get per-site settings (missing fields are filled from DEFAULT_SITE_SETTINGS)
+   * @returns {Promise<object>} Site settings object
+   */
+  async function getSiteSettings()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SITE_SETTINGS);
+      return JSON.parse(JSON.stringify({
+        ...DEFAULT_SITE_SETTINGS,
+        ...(result[STORAGE_KEYS.SITE_SETTINGS] || {})
+      }));
+    } catch (error) {
+      console.error('Live Highlighter: Error getting site settings', error);
+      return JSON.parse(JSON.stringify(DEFAULT_SITE_SETTINGS));
+    }
+  }
+
+  /**
+   * Save per-site settings
+   * @param {object} settings - Site settings object
+   * @returns {Promise<boolean>} Success status
+   */
+  async function saveSiteSettings(settings)
+  {
+    try {
+      if (!isValidSiteSettings(settings)) {
+        console.error('Live Highlighter: Invalid site settings structure');
+        return false;
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.SITE_SETTINGS]: settings });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error saving site settings', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add or remove an entry in one of the site settings lists
+   * @param {string} listName - 'allowedSites', 'disabledSites' or 'disabledPages'
+   * @param {string} entry - Hostname or page URL
+   * @param {boolean} present - Whether the entry should be in the list
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setSiteListEntry(listName, entry, present)
+  {
+    try {
+      const settings = await getSiteSettings();
+      const list = settings[listName].filter(e => e !== entry);
+      if (present) {
+        list.push(entry);
+      }
+      settings[listName] = list;
+      return await saveSiteSettings(settings);
+    } catch (error) {
+      console.error('Live Highlighter: Error updating site settings', error);
+      return false;
+    }
+  }
+
+  /**
+   * Disable or re-enable highlighting on a site (hostname and its subdomains)
+   * @param {string} hostname - Site hostname
+   * @param {boolean} disabled - Whether highlighting should be disabled
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setSiteDisabled(hostname, disabled)
+  {
+    return setSiteListEntry('disabledSites', hostname, disabled);
+  }
+
+  /**
+   * Disable or re-enable highlighting on a single page
+   * @param {string} url - Page URL (the #hash is ignored)
+   * @param {boolean} disabled - Whether highlighting should be disabled
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setPageDisabled(url, disabled)
+  {
+    const pageKey = getPageKey(url);
+    if (!pageKey) return false;
+    return setSiteListEntry('disabledPages', pageKey, disabled);
+  }
+
+  /**
+   * Add or remove a site from the allowlist
+   * @param {string} hostname - Site hostname
+   * @param {boolean} allowed - Whether the site should be allowed
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setSiteAllowed(hostname, allowed)
+  {
+    return setSiteListEntry('allowedSites', hostname, allowed);
+  }
+
+  /**
+   * Turn allowlist mode on or off
+   * @param {boolean} allowlistMode - Whether to only highlight on allowed sites
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setAllowlistMode(allowlistMode)
+  {
+    try {
+      if (typeof allowlistMode !== 'boolean') {
+        console.error('Live Highlighter: setAllowlistMode requires a boolean');
+        return false;
+      }
+
+      const settings = await getSiteSettings();
+      settings.allowlistMode = allowlistMode;
+      return await saveSiteSettings(settings);
+    } catch (error) {
+      console.error('Live Highlighter: Error setting allowlist mode', error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn highlighting on or off for a URL's site, following the current mode:
+   * removes or adds the site in the allowlist (allowlist mode) or the disabled sites list
+   * @param {string} url - Page URL (the tab's top-level URL)
+   * @returns {Promise<boolean>} Success status
+   */
+  async function toggleSite(url)
+  {
+    try {
+      const hostname = getSiteKey(url);
+      if (!hostname) {
+        console.warn('Live Highlighter: URL has no site to toggle');
+        return false;
+      }
+
+      const settings = await getSiteSettings();
+      const listName = settings.allowlistMode ? 'allowedSites' : 'disabledSites';
+
+      if (isSiteInList(settings[listName], hostname)) {
+        // Remove every entry covering this host (it may be listed via a parent domain)
+        settings[listName] = settings[listName].filter(site => !isSiteInList([site], hostname));
+      } else {
+        settings[listName] = [...settings[listName], hostname];
+      }
+
+      return await saveSiteSettings(settings);
+    } catch (error) {
+      console.error('Live Highlighter: Error toggling site', error);
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // Site Helpers
+  // ============================================================================
+
+  /**
+   * Get the site key (hostname) for a URL
+   * @param {string} url - Page URL
+   * @returns {string} Hostname, or '' for URLs without one (e.g. file://)
+   */
+  function getSiteKey(url)
+  {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Get the page key for a URL (the URL without its #hash)
+   * @param {string} url - Page URL
+   * @returns {string} Page key, or '' if the URL is invalid
+   */
+  function getPageKey(url)
+  {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Check if a hostname is in a site list (entries also cover their subdomains)
+   * @param {Array<string>} sites - Hostnames
+   * @param {string} hostname - Hostname to look up
+   * @returns {boolean}
+   */
+  function isSiteInList(sites, hostname)
+  {
+    return hostname !== '' &&
+           sites.some(site => hostname === site || hostname.endsWith(`.${site}`));
+  }
+
+  /**
+   * Check if highlighting is allowed on a URL by the site settings
+   * @param {object} siteSettings - Site settings object
+   * @param {string} url - Page URL (the tab's top-level URL)
+   * @returns {boolean}
+   */
+  function isUrlAllowed(siteSettings, url)
+  {
+    const hostname = getSiteKey(url);
+
+    if (siteSettings.allowlistMode && !isSiteInList(siteSettings.allowedSites, hostname)) {
+      return false;
+    }
+
+    if (isSiteInList(siteSettings.disabledSites, hostname)) {
+      return false;
+    }
+
+    return !siteSettings.disabledPages.includes(getPageKey(url));
+  }
+
+  // ============================================================================
+  // Helper Functions
+  // ============================================================================
+
+  /**
+   * Check if two groups have the same content (updatedAt is ignored)
+   * @param {object} a - Group object
+   * @param {object} b - Group object
+   * @returns {boolean}
+   */
+  function isSameGroupContent(a, b)
+  {
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter(key => key !== 'updatedAt')
+      .sort();
+    return JSON.stringify(a, keys) === JSON.stringify(b, keys);
+  }
+
+  /**
+   * Check if two lists of groups (or profiles) have the same items in the same order (updatedAt is ignored)
+   * @param {Array} a - Group or profile objects
+   * @param {Array} b - Group or profile objects
+   * @returns {boolean}
+   */
+  function isSameItemList(a, b)
+  {
+    return a.length === b.length && a.every((item, i) => isSameGroupContent(item, b[i]));
+  }
+
+  /**
+   * Record how to get from one list of groups (or profiles) back to another
+   * @param {Array} from - Items after the change
+   * @param {Array} to - Items to go back to
+   * @returns {{order: Array<string>, items: object}} IDs of `to` in order, and the items of `to` that
+   *   aren't the same in `from` (by ID)
+   */
+  function diffItems(from, to)
+  {
+    const fromById = new Map(from.map(item => [item.id, item]));
+    const items = {};
+    to.forEach(item =>
+    {
+      const current = fromById.get(item.id);
+      if (!current || !isSameGroupContent(current, item)) {
+        items[item.id] = item;
+      }
+    });
+    return { order: to.map(item => item.id), items };
+  }
+
+  /**
+   * Go back to a list of groups (or profiles) recorded by diffItems
+   * Items that no longer exist and weren't recorded (e.g. removed by a sync merge) are left out.
+   * @param {Array} current - Items now
+   * @param {{order: Array<string>, items: object}} diff - From diffItems
+   * @returns {Array} Items
+   */
+  function applyDiff(current, diff)
+  {
+    const currentById = new Map(current.map(item => [item.id, item]));
+    return diff.order
+      .map(id => (diff.items.hasOwnProperty(id) ? diff.items[id] : currentById.get(id)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check the shape of a history entry read back from storage
+   * @param {*} entry - Stored entry
+   * @returns {boolean}
    */
-  async function setEnabled(enabled)
+  function isValidHistoryEntry(entry)
   {
-    try {
-      if (typeof enabled !== 'boolean') {
-        console.error('Live Highlighter: setEnabled requires a boolean');
-        return false;
+    const isDiff = diff => !!diff && Array.isArray(diff.order) && !!diff.items && typeof diff.items === 'object';
+    return !!entry && isDiff(entry.groups) && isDiff(entry.profiles);
+  }
+
+  /**
+   * Add an entry to a history stack, then drop the oldest entries beyond MAX_HISTORY_ENTRIES per
+   * stack and MAX_HISTORY_BYTES in all (undo entries first). The newest undo entry is always kept,
+   * so the last change can be undone however large it is.
+   * @param {object} history - From getHistory (updated in place)
+   * @param {'undo'|'redo'} stack - Stack to add to
+   * @param {object} entry - { groups, profiles }, each from diffItems
+   * @param {object} updates - Storage updates to add the entry and the history to
+   * @returns {Array<string>} Keys of stored entries that were dropped
+   */
+  function addHistoryEntry(history, stack, entry, updates)
+  {
+    const key = STORAGE_KEYS.HISTORY_ENTRY_PREFIX + history.nextId;
+    history.nextId += 1;
+    history[stack].push({ key, size: JSON.stringify(entry).length, savedAt: Date.now() });
+    updates[key] = entry;
+
+    const dropped = [];
+    ['undo', 'redo'].forEach(name =>
+    {
+      while (history[name].length > MAX_HISTORY_ENTRIES) {
+        dropped.push(history[name].shift());
       }
+    });
 
-      await chrome.storage.local.set({ [STORAGE_KEYS.ENABLED]: enabled });
-      return true;
-    } catch (error) {
-      console.error('Live Highlighter: Error setting enabled state', error);
-      return false;
+    let size = [...history.undo, ...history.redo].reduce((sum, item) => sum + item.size, 0);
+    while (size > MAX_HISTORY_BYTES && (history.undo.length > 1 || history.redo.length > 0)) {
+      const item = history.undo.length > 1 ? history.undo.shift() : history.redo.shift();
+      size -= item.size;
+      dropped.push(item);
     }
+
+    updates[STORAGE_KEYS.GROUP_HISTORY] = history;
+
+    // An entry dropped as soon as it's added is simply not written
+    return dropped.map(item => item.key).filter(droppedKey =>
+    {
+      if (droppedKey !== key) return true;
+      delete updates[key];
+      return false;
+    });
   }
 
-  // ============================================================================
-  // Helper Functions
-  // ============================================================================
+  /**
+   * Set updatedAt on groups (or profiles) that changed since the previous save and update tombstones
+   * Items that are removed get a tombstone; items that come back (e.g. undo) lose theirs
+   * @param {Array} previous - Groups or profiles currently in storage
+   * @param {Array} items - Groups or profiles being saved
+   * @param {object} tombstones - Tombstones map (updated in place)
+   * @param {number} now - Current time (ms)
+   * @returns {Array} Items with updatedAt set
+   */
+  function stampItems(previous, items, tombstones, now)
+  {
+    const previousById = new Map(previous.map(item => [item.id, item]));
+    const savedIds = new Set(items.map(item => item.id));
+
+    previous.forEach(item =>
+    {
+      if (!savedIds.has(item.id)) {
+        tombstones[item.id] = now;
+      }
+    });
+
+    // Old tombstones are no longer needed once every device has had time to sync
+    Object.keys(tombstones).forEach(id =>
+    {
+      if (now - tombstones[id] > SYNC_TOMBSTONE_TTL_MS) {
+        delete tombstones[id];
+      }
+    });
+
+    return items.map(item =>
+    {
+      const before = previousById.get(item.id);
+
+      if (before && !tombstones[item.id] && isSameGroupContent(before, item)) {
+        return { ...item, updatedAt: before.updatedAt || 0 };
+      }
+
+      delete tombstones[item.id];
+      return { ...item, updatedAt: now };
+    });
+  }
 
   /**
    * Generate a unique ID for a group
@@ -221,6 +984,7 @@ LiveHighlighter.Storage = (function ()
         // Create default group with sample words
         const defaultGroup = {
           id: generateId(),
+          profileId: DEFAULT_PROFILE.id,
           name: DEFAULT_GROUP.name,
           colour: DEFAULT_GROUP.colour,
           textColor: DEFAULT_GROUP.textColor,
@@ -229,11 +993,18 @@ LiveHighlighter.Storage = (function ()
           words: [...DEFAULT_GROUP.words],
           matchWholeWord: false,
           caseSensitive: false,
-          useRegex: false
+          ignoreAccents: false,
+          useRegex: false,
+          matchAcrossElements: false,
+          alert: false,
+          includeUrls: [],
+          excludeUrls: []
         };
 
         await chrome.storage.local.set({
           [STORAGE_KEYS.GROUPS]: [defaultGroup],
+          [STORAGE_KEYS.PROFILES]: [{ ...DEFAULT_PROFILE, urlPatterns: [] }],
+          [STORAGE_KEYS.ACTIVE_PROFILE]: DEFAULT_PROFILE.id,
           [STORAGE_KEYS.ENABLED]: DEFAULT_SETTINGS.enabled,
           [STORAGE_KEYS.VERSION]: DEFAULT_SETTINGS.version
         });
@@ -253,7 +1024,7 @@ LiveHighlighter.Storage = (function ()
   // ============================================================================
 
   /**
-   * Add a new group
+   * Add a new group to the active profile
    * @param {string} name - Group name
    * @param {string} colour - Hex colour code
    * @returns {Promise<object|null>} The new group object or null if failed
@@ -273,31 +1044,39 @@ LiveHighlighter.Storage = (function ()
       }
 
       const groups = await getGroups();
+      const profileId = await getActiveProfileId();
+      const profileGroups = getProfileGroups(groups, profileId);
 
       // Check if we've hit the group limit
-      if (groups.length >= MAX_GROUPS) {
+      if (profileGroups.length >= MAX_GROUPS) {
         console.warn(`Live Highlighter: Maximum ${MAX_GROUPS} groups reached`);
         return null;
       }
 
       const trimmedName = name.trim();
 
-      // Find textColor from preset colors
+      // Find textColor from preset colors, or compute a readable one for custom colours
       const preset = PRESET_COLOURS.find(p => p.hex === colour);
-      const textColor = preset ? preset.textColor : '#000000';
+      const textColor = preset ? preset.textColor : LiveHighlighter.getReadableTextColor(colour);
 
       // Create new group
       const newGroup = {
         id: generateId(),
+        profileId,
         name: trimmedName,
         colour: colour,
         textColor: textColor,
         enabled: true,
-        order: groups.length,  // Add to end
+        order: profileGroups.length,  // Add to end
         words: [],  // Start with empty words array
         matchWholeWord: false,  // Default: partial matching
         caseSensitive: false,   // Default: case-insensitive
-        useRegex: false         // Default: no regex
+        ignoreAccents: false,   // Default: accents must match
+        useRegex: false,        // Default: no regex
+        matchAcrossElements: false, // Default: match within a single text node
+        alert: false,           // Default: no notifications
+        includeUrls: [],        // Default: all pages
+        excludeUrls: []         // Default: no excluded pages
       };
 
       groups.push(newGroup);
@@ -328,7 +1107,7 @@ LiveHighlighter.Storage = (function ()
       }
 
       // Whitelist allowed fields to prevent id tampering
-      const allowedFields = ['name', 'colour', 'textColor', 'enabled', 'order', 'words', 'matchWholeWord', 'caseSensitive', 'useRegex'];
+      const allowedFields = ['name', 'colour', 'textColor', 'enabled', 'order', 'words', 'matchWholeWord', 'caseSensitive', 'ignoreAccents', 'useRegex', 'matchAcrossElements', 'alert', 'includeUrls', 'excludeUrls'];
       const validUpdates = {};
 
       for (const field of allowedFields) {
@@ -368,6 +1147,16 @@ LiveHighlighter.Storage = (function ()
         return false;
       }
 
+      // Words added to a regex group must be valid patterns (ones saved before are kept, and flagged
+      // in the options page)
+      const current = groups[index];
+      const useRegex = validUpdates.useRegex !== undefined ? validUpdates.useRegex : current.useRegex;
+      if (validUpdates.words !== undefined && useRegex === true &&
+          validUpdates.words.some(word => !current.words.includes(word) && getRegexError(word) !== null)) {
+        console.warn('Live Highlighter: Invalid regex in update');
+        return false;
+      }
+
       if (validUpdates.matchWholeWord !== undefined && typeof validUpdates.matchWholeWord !== 'boolean') {
         console.warn('Live Highlighter: Invalid matchWholeWord value in update');
         return false;
@@ -378,11 +1167,36 @@ LiveHighlighter.Storage = (function ()
         return false;
       }
 
+      if (validUpdates.ignoreAccents !== undefined && typeof validUpdates.ignoreAccents !== 'boolean') {
+        console.warn('Live Highlighter: Invalid ignoreAccents value in update');
+        return false;
+      }
+
       if (validUpdates.useRegex !== undefined && typeof validUpdates.useRegex !== 'boolean') {
         console.warn('Live Highlighter: Invalid useRegex value in update');
         return false;
       }
 
+      if (validUpdates.matchAcrossElements !== undefined && typeof validUpdates.matchAcrossElements !== 'boolean') {
+        console.warn('Live Highlighter: Invalid matchAcrossElements value in update');
+        return false;
+      }
+
+      if (validUpdates.alert !== undefined && typeof validUpdates.alert !== 'boolean') {
+        console.warn('Live Highlighter: Invalid alert value in update');
+        return false;
+      }
+
+      if (validUpdates.includeUrls !== undefined && !isValidUrlPatternArray(validUpdates.includeUrls)) {
+        console.warn('Live Highlighter: Invalid includeUrls array in update');
+        return false;
+      }
+
+      if (validUpdates.excludeUrls !== undefined && !isValidUrlPatternArray(validUpdates.excludeUrls)) {
+        console.warn('Live Highlighter: Invalid excludeUrls array in update');
+        return false;
+      }
+
       // Apply validated updates
       groups[index] = { ...groups[index], ...validUpdates };
 
@@ -402,15 +1216,17 @@ LiveHighlighter.Storage = (function ()
   {
     try {
       const groups = await getGroups();
-      const filtered = groups.filter(group => group.id !== id);
+      const deleted = groups.find(group => group.id === id);
 
-      if (filtered.length === groups.length) {
+      if (!deleted) {
         console.warn('Live Highlighter: Group not found');
         return false;
       }
 
-      // Reorder remaining groups
-      filtered.forEach((group, index) =>
+      const filtered = groups.filter(group => group.id !== id);
+
+      // Reorder remaining groups in the same profile
+      getProfileGroups(filtered, deleted.profileId).forEach((group, index) =>
       {
         group.order = index;
       });
@@ -423,8 +1239,8 @@ LiveHighlighter.Storage = (function ()
   }
 
   /**
-   * Reorder groups
-   * @param {Array<string>} orderedIds - Array of group IDs in desired order
+   * Reorder the groups of one profile
+   * @param {Array<string>} orderedIds - IDs of every group in the profile, in desired order
    * @returns {Promise<boolean>} Success status
    */
   async function reorderGroups(orderedIds)
@@ -440,8 +1256,12 @@ LiveHighlighter.Storage = (function ()
         .map(id => groupMap.get(id))
         .filter(group => group !== undefined);
 
-      // Verify all groups are accounted for
-      if (reordered.length !== groups.length) {
+      // Verify all groups of the profile are accounted for
+      const profileId = reordered.length > 0 ? reordered[0].profileId : null;
+      const profileGroups = groups.filter(group => group.profileId === profileId);
+      if (reordered.length === 0 ||
+          reordered.length !== profileGroups.length ||
+          reordered.some(group => group.profileId !== profileId)) {
         console.warn('Live Highlighter: Invalid group order');
         return false;
       }
@@ -452,7 +1272,7 @@ LiveHighlighter.Storage = (function ()
         group.order = index;
       });
 
-      return await saveGroups(reordered);
+      return await saveGroups(groups);
     } catch (error) {
       console.error('Live Highlighter: Error reordering groups', error);
       return false;
@@ -517,14 +1337,19 @@ LiveHighlighter.Storage = (function ()
         return false;
       }
 
+      if (group.useRegex && getRegexError(word) !== null) {
+        console.warn('Live Highlighter: Invalid regex', word);
+        return false;
+      }
+
       // Check group word limit
       if (group.words.length >= MAX_WORDS_PER_GROUP) {
         console.warn(`Live Highlighter: Maximum ${MAX_WORDS_PER_GROUP} words per group reached`);
         return false;
       }
 
-      // Check total word limit
-      const totalWords = groups.reduce((sum, g) => sum + g.words.length, 0);
+      // Check total word limit of the group's profile
+      const totalWords = getProfileGroups(groups, group.profileId).reduce((sum, g) => sum + g.words.length, 0);
       if (totalWords >= MAX_TOTAL_WORDS) {
         console.warn(`Live Highlighter: Maximum ${MAX_TOTAL_WORDS} total words reached`);
         return false;
@@ -614,6 +1439,11 @@ LiveHighlighter.Storage = (function ()
 
       const trimmedNewWord = newWord.trim();
 
+      if (group.useRegex && getRegexError(trimmedNewWord) !== null) {
+        console.warn('Live Highlighter: Invalid regex', trimmedNewWord);
+        return false;
+      }
+
       // Check for duplicate (case-insensitive, excluding current word)
       const duplicate = group.words.some((w, i) =>
         i !== index && w.toLowerCase() === trimmedNewWord.toLowerCase()
@@ -635,13 +1465,13 @@ LiveHighlighter.Storage = (function ()
   }
 
   /**
-   * Get total word count across all groups
+   * Get total word count across the groups of the active profile
    * @returns {Promise<number>} Total word count
    */
   async function getTotalWordCount()
   {
     try {
-      const groups = await getGroups();
+      const groups = await getActiveProfileGroups();
       return groups.reduce((sum, g) => sum + g.words.length, 0);
     } catch (error) {
       console.error('Live Highlighter: Error getting total word count', error);
@@ -667,8 +1497,8 @@ LiveHighlighter.Storage = (function ()
         return false;
       }
 
-      // Check total word limit
-      const totalWords = groups.reduce((sum, g) => sum + g.words.length, 0);
+      // Check total word limit of the group's profile
+      const totalWords = getProfileGroups(groups, group.profileId).reduce((sum, g) => sum + g.words.length, 0);
       if (totalWords >= MAX_TOTAL_WORDS) {
         return false;
       }
@@ -681,13 +1511,13 @@ LiveHighlighter.Storage = (function ()
   }
 
   /**
-   * Check if a group can be added
+   * Check if a group can be added to the active profile
    * @returns {Promise<boolean>} Whether group can be added
    */
   async function canAddGroup()
   {
     try {
-      const groups = await getGroups();
+      const groups = await getActiveProfileGroups();
       return groups.length < MAX_GROUPS;
     } catch (error) {
       console.error('Live Highlighter: Error checking if group can be added', error);
@@ -695,6 +1525,361 @@ LiveHighlighter.Storage = (function ()
     }
   }
 
+  // ============================================================================
+  // Profile Management Functions
+  // ============================================================================
+
+  /**
+   * Get all profiles (a default profile if none are stored yet)
+   * @returns {Promise<Array>} Array of profile objects, in list order
+   */
+  async function getProfiles()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.PROFILES);
+      const profiles = result[STORAGE_KEYS.PROFILES];
+      return Array.isArray(profiles) && profiles.length > 0
+        ? JSON.parse(JSON.stringify(profiles))
+        : [{ ...DEFAULT_PROFILE, urlPatterns: [] }];
+    } catch (error) {
+      console.error('Live Highlighter: Error getting profiles', error);
+      return [{ ...DEFAULT_PROFILE, urlPatterns: [] }];
+    }
+  }
+
+  /**
+   * Get the ID of the active profile (the first profile if the stored one no longer exists)
+   * @returns {Promise<string>} Profile ID
+   */
+  async function getActiveProfileId()
+  {
+    try {
+      const profiles = await getProfiles();
+      const result = await chrome.storage.local.get(STORAGE_KEYS.ACTIVE_PROFILE);
+      const id = result[STORAGE_KEYS.ACTIVE_PROFILE];
+      return profiles.some(profile => profile.id === id) ? id : profiles[0].id;
+    } catch (error) {
+      console.error('Live Highlighter: Error getting active profile', error);
+      return DEFAULT_PROFILE.id;
+    }
+  }
+
+  /**
+   * Switch the active profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setActiveProfile(id)
+  {
+    try {
+      const profiles = await getProfiles();
+      if (!profiles.some(profile => profile.id === id)) {
+        console.warn('Live Highlighter: Profile not found');
+        return false;
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_PROFILE]: id });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error setting active profile', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the groups of the active profile
+   * @returns {Promise<Array>} Groups sorted by order
+   */
+  async function getActiveProfileGroups()
+  {
+    return getProfileGroups(await getGroups(), await getActiveProfileId());
+  }
+
+  /**
+   * Create an empty profile
+   * @param {string} name - Profile name
+   * @returns {Promise<object|null>} The new profile or null if failed
+   */
+  async function createProfile(name)
+  {
+    try {
+      if (!isValidGroupName(name)) {
+        console.warn('Live Highlighter: Profile name is invalid');
+        return null;
+      }
+
+      const profiles = await getProfiles();
+      if (profiles.length >= MAX_PROFILES) {
+        console.warn(`Live Highlighter: Maximum ${MAX_PROFILES} profiles reached`);
+        return null;
+      }
+
+      const profile = { id: generateId(), name: name.trim(), urlPatterns: [] };
+      const success = await saveGroups(await getGroups(), { profiles: [...profiles, profile] });
+
+      return success ? profile : null;
+    } catch (error) {
+      console.error('Live Highlighter: Error creating profile', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a profile with copies of another profile's groups
+   * URL patterns are not copied, so a page never matches both profiles
+   * @param {string} id - ID of the profile to copy
+   * @param {string} name - Name of the new profile
+   * @returns {Promise<object|null>} The new profile or null if failed
+   */
+  async function duplicateProfile(id, name)
+  {
+    try {
+      if (!isValidGroupName(name)) {
+        console.warn('Live Highlighter: Profile name is invalid');
+        return null;
+      }
+
+      const profiles = await getProfiles();
+      if (!profiles.some(profile => profile.id === id)) {
+        console.warn('Live Highlighter: Profile not found');
+        return null;
+      }
+
+      if (profiles.length >= MAX_PROFILES) {
+        console.warn(`Live Highlighter: Maximum ${MAX_PROFILES} profiles reached`);
+        return null;
+      }
+
+      const profile = { id: generateId(), name: name.trim(), urlPatterns: [] };
+      const groups = await getGroups();
+      const copies = getProfileGroups(groups, id).map(group =>
+      {
+        const copy = { ...group, id: generateId(), profileId: profile.id };
+        delete copy.updatedAt;
+        return copy;
+      });
+
+      const success = await saveGroups([...groups, ...copies], { profiles: [...profiles, profile] });
+
+      return success ? profile : null;
+    } catch (error) {
+      console.error('Live Highlighter: Error duplicating profile', error);
+      return null;
+    }
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id - Profile ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} Success status
+   */
+  async function renameProfile(id, name)
+  {
+    try {
+      if (!isValidGroupName(name)) {
+        console.warn('Live Highlighter: Profile name is invalid');
+        return false;
+      }
+
+      const profiles = await getProfiles();
+      const profile = profiles.find(p => p.id === id);
+      if (!profile) {
+        console.warn('Live Highlighter: Profile not found');
+        return false;
+      }
+
+      profile.name = name.trim();
+      return await saveGroups(await getGroups(), { profiles });
+    } catch (error) {
+      console.error('Live Highlighter: Error renaming profile', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the URL patterns that switch to a profile automatically
+   * @param {string} id - Profile ID
+   * @param {Array<string>} urlPatterns - Match patterns or globs (see url-patterns.js)
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setProfileUrlPatterns(id, urlPatterns)
+  {
+    try {
+      if (!isValidUrlPatternArray(urlPatterns)) {
+        console.warn('Live Highlighter: Invalid profile URL patterns');
+        return false;
+      }
+
+      const profiles = await getProfiles();
+      const profile = profiles.find(p => p.id === id);
+      if (!profile) {
+        console.warn('Live Highlighter: Profile not found');
+        return false;
+      }
+
+      profile.urlPatterns = [...urlPatterns];
+      return await saveGroups(await getGroups(), { profiles });
+    } catch (error) {
+      console.error('Live Highlighter: Error setting profile URL patterns', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a profile and its groups (the last profile can't be deleted)
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function deleteProfile(id)
+  {
+    try {
+      const profiles = await getProfiles();
+      if (!profiles.some(profile => profile.id === id)) {
+        console.warn('Live Highlighter: Profile not found');
+        return false;
+      }
+
+      if (profiles.length <= 1) {
+        console.warn('Live Highlighter: Cannot delete the last profile');
+        return false;
+      }
+
+      const groups = await getGroups();
+      return await saveGroups(groups.filter(group => group.profileId !== id), {
+        profiles: profiles.filter(profile => profile.id !== id)
+      });
+    } catch (error) {
+      console.error('Live Highlighter: Error deleting profile', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the groups of a profile
+   * @param {Array} groups - All groups
+   * @param {string} profileId - Profile ID
+   * @returns {Array} The profile's groups sorted by order (same objects, not copies)
+   */
+  function getProfileGroups(groups, profileId)
+  {
+    return groups
+      .filter(group => group.profileId === profileId)
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Pick the profile for a page: the first profile whose URL patterns match, otherwise the active one
+   * @param {Array} profiles - All profiles
+   * @param {string} activeProfileId - Active profile ID
+   * @param {string} url - Page URL
+   * @returns {string} Profile ID
+   */
+  function getProfileIdForUrl(profiles, activeProfileId, url)
+  {
+    const matched = url && profiles.find(profile =>
+      profile.urlPatterns.some(pattern => LiveHighlighter.UrlPatterns.matchesUrl(pattern, url)));
+    return matched ? matched.id : activeProfileId;
+  }
+
+  // ============================================================================
+  // Undo/Redo History
+  // ============================================================================
+
+  /**
+   * Get the undo/redo history
+   * Each stack lists { key, size, savedAt } for its entries, the most recent last. An entry records
+   * only the groups and profiles a change touched (see diffItems), and is stored under its own key,
+   * so recording a change doesn't rewrite the whole history.
+   * @returns {Promise<{undo: Array, redo: Array, nextId: number}>}
+   */
+  async function getHistory()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.GROUP_HISTORY);
+      const history = result[STORAGE_KEYS.GROUP_HISTORY] || {};
+      const isItem = item => !!item && typeof item.key === 'string' && typeof item.size === 'number';
+      return {
+        undo: Array.isArray(history.undo) ? history.undo.filter(isItem) : [],
+        redo: Array.isArray(history.redo) ? history.redo.filter(isItem) : [],
+        nextId: Number.isInteger(history.nextId) ? history.nextId : 1
+      };
+    } catch (error) {
+      console.error('Live Highlighter: Error getting history', error);
+      return { undo: [], redo: [], nextId: 1 };
+    }
+  }
+
+  /**
+   * Restore the groups and profiles from before the last change
+   * @returns {Promise<boolean>} True if a change was undone
+   */
+  async function undo()
+  {
+    return restoreFromHistory('undo', 'redo');
+  }
+
+  /**
+   * Re-apply the last undone change
+   * @returns {Promise<boolean>} True if a change was redone
+   */
+  async function redo()
+  {
+    return restoreFromHistory('redo', 'undo');
+  }
+
+  /**
+   * Apply the newest entry on one history stack and record how to reverse it on the other
+   * @param {string} from - 'undo' or 'redo'
+   * @param {string} to - The opposite stack
+   * @returns {Promise<boolean>} Success status
+   */
+  async function restoreFromHistory(from, to)
+  {
+    try {
+      const history = await getHistory();
+      const item = history[from].pop();
+      if (!item) return false;
+
+      // What's left if the entry has to be discarded
+      const remaining = { ...history, undo: [...history.undo], redo: [...history.redo] };
+
+      const stored = await chrome.storage.local.get(item.key);
+      const entry = stored[item.key];
+      let restored = false;
+
+      if (isValidHistoryEntry(entry)) {
+        const groups = await getGroups();
+        const profiles = await getProfiles();
+        const restoredGroups = applyDiff(groups, entry.groups);
+        const restoredProfiles = applyDiff(profiles, entry.profiles);
+
+        const updates = {};
+        const removedKeys = [item.key, ...addHistoryEntry(history, to, {
+          groups: diffItems(restoredGroups, groups),
+          profiles: diffItems(restoredProfiles, profiles)
+        }, updates)];
+
+        restored = await saveGroups(restoredGroups, {
+          profiles: restoredProfiles,
+          history: { updates, removedKeys }
+        });
+      }
+
+      // Drop an entry that can no longer be applied so it doesn't block older ones
+      if (!restored) {
+        console.warn(`Live Highlighter: Discarding ${from} entry that failed validation`);
+        await chrome.storage.local.set({ [STORAGE_KEYS.GROUP_HISTORY]: remaining });
+        await chrome.storage.local.remove(item.key);
+      }
+
+      return restored;
+    } catch (error) {
+      console.error(`Live Highlighter: Error during ${from}`, error);
+      return false;
+    }
+  }
+
   // ============================================================================
   // Storage Change Listener
   // ============================================================================
@@ -721,10 +1906,48 @@ LiveHighlighter.Storage = (function ()
     // Core functions
     getGroups,
     saveGroups,
+    getGroupTombstones,
     getEnabled,
     setEnabled,
+    getShowMinimap,
+    setShowMinimap,
+    getBadgeSettings,
+    setBadgeSettings,
+    getQuietHours,
+    setQuietHours,
     initializeStorage,
 
+    // Profiles
+    getProfiles,
+    getActiveProfileId,
+    setActiveProfile,
+    getActiveProfileGroups,
+    createProfile,
+    duplicateProfile,
+    renameProfile,
+    setProfileUrlPatterns,
+    deleteProfile,
+    getProfileGroups,
+    getProfileIdForUrl,
+
+    // Undo/redo
+    getHistory,
+    undo,
+    redo,
+
+    // Site settings
+    getSiteSettings,
+    saveSiteSettings,
+    setSiteDisabled,
+    setPageDisabled,
+    setSiteAllowed,
+    setAllowlistMode,
+    toggleSite,
+    getSiteKey,
+    getPageKey,
+    isSiteInList,
+    isUrlAllowed,
+
     // Group management
     addGroup,
     updateGroup,
@@ -746,9 +1969,20 @@ LiveHighlighter.Storage = (function ()
 
     // Utilities (exposed for testing/advanced use)
     generateId,
+    isSameGroupContent,
     isValidColour,
     isValidGroupName,
-    isValidWord
+    isValidWord,
+    getRegexError,
+    escapeRegexLiteral,
+    isValidWordsArray,
+    isValidUrlPatternArray,
+    isValidGroup,
+    isValidProfile,
+    isValidProfileArray,
+    isWithinGroupLimits,
+    isValidHostname,
+    isValidSiteSettings
   };
 })();
 
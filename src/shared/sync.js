@@ -0,0 +1,507 @@
+// Live Highlighter - Sync Groups Across Devices (chrome.storage.sync)
+
+/**
+ * Groups and profiles always live in chrome.storage.local - content scripts and the options page
+ * read them there. When sync is turned on, the service worker mirrors them to chrome.storage.sync:
+ *
+ *   syncMeta        { version, schemaVersion, chunkCount, length, tombstones, updatedAt }
+ *   syncGroups0..n  Consecutive slices of JSON.stringify({ groups, profiles }), each within QUOTA_BYTES_PER_ITEM
+ *                   (format version 1 stored just the groups array)
+ *
+ * schemaVersion is the storage schema of the device that wrote the data (missing before schema 7).
+ * Regex words from older devices are escaped as they are read, as migration 7 does locally.
+ *
+ * Chunks are written before syncMeta, and syncMeta records the total length, so a reader that
+ * catches another device mid-write sees an incomplete copy and waits for the next change.
+ *
+ * Conflicts are resolved per group and per profile: the copy with the newest updatedAt wins, and
+ * a tombstone (deletion time) newer than an item's updatedAt removes it. The active profile is
+ * chosen per device and is not synced.
+ */
+
+// Extend LiveHighlighter namespace with sync functions
+LiveHighlighter.Sync = (function ()
+{
+  'use strict';
+
+  const {
+    Storage,
+    STORAGE_KEYS,
+    SYNC_KEYS,
+    DEFAULT_SETTINGS,
+    REGEX_LITERAL_SCHEMA_VERSION,
+    MAX_GROUPS,
+    MAX_TOTAL_WORDS,
+    MAX_PROFILES,
+    SYNC_QUOTA_BYTES,
+    SYNC_QUOTA_BYTES_PER_ITEM,
+    SYNC_TOMBSTONE_TTL_MS
+  } = LiveHighlighter;
+
+  // Layout version of the synced data
+  const SYNC_FORMAT_VERSION = 2;
+
+  // Headroom kept below the browser's quotas
+  const QUOTA_MARGIN_BYTES = 64;
+
+  // Storage area used for sync (replaceable with an in-memory stand-in for testing)
+  let syncArea = null;
+
+  // Serialises sync runs so two merges never interleave
+  let syncQueue = Promise.resolve();
+
+  const encoder = new TextEncoder();
+
+  // ============================================================================
+  // Storage Area
+  // ============================================================================
+
+  /**
+   * Get the storage area used for sync
+   * @returns {object} chrome.storage.sync, or the area set with setSyncArea
+   */
+  function getSyncArea()
+  {
+    return syncArea || chrome.storage.sync;
+  }
+
+  /**
+   * Replace the sync storage area (e.g. an in-memory stand-in for testing)
+   * @param {object|null} area - Object with get/set/remove like chrome.storage.sync, or null to reset
+   */
+  function setSyncArea(area)
+  {
+    syncArea = area;
+  }
+
+  /**
+   * Get the quotas of the sync area
+   * @returns {{total: number, perItem: number}}
+   */
+  function getQuotas()
+  {
+    const area = getSyncArea();
+    return {
+      total: (area.QUOTA_BYTES || SYNC_QUOTA_BYTES) - QUOTA_MARGIN_BYTES,
+      perItem: (area.QUOTA_BYTES_PER_ITEM || SYNC_QUOTA_BYTES_PER_ITEM) - QUOTA_MARGIN_BYTES
+    };
+  }
+
+  // ============================================================================
+  // Chunking
+  // ============================================================================
+
+  /**
+   * Size of a storage item as counted by the sync quota (key plus JSON value, in bytes)
+   * @param {string} key - Item key
+   * @param {*} value - Item value
+   * @returns {number}
+   */
+  function getItemBytes(key, value)
+  {
+    return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+  }
+
+  /**
+   * Split a string into chunks whose JSON encoding fits in maxBytes
+   * @param {string} text - Text to split
+   * @param {number} maxBytes - Maximum JSON-encoded size of each chunk (including quotes)
+   * @returns {Array<string>}
+   */
+  function chunkString(text, maxBytes)
+  {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 2; // Surrounding quotes
+
+    for (const char of text) {
+      const charBytes = encoder.encode(JSON.stringify(char)).length - 2;
+      if (currentBytes + charBytes > maxBytes && current.length > 0) {
+        chunks.push(current);
+        current = '';
+        currentBytes = 2;
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+
+    if (current.length > 0 || chunks.length === 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  // ============================================================================
+  // Reading and Writing the Sync Area
+  // ============================================================================
+
+  /**
+   * Read groups, profiles and tombstones from the sync area
+   * @returns {Promise<object|null>} { groups, profiles, tombstones }, { incomplete: true } while another
+   *   device is mid-write, or null if nothing has been synced yet. profiles is null for data
+   *   written before profiles existed. Regex words written by a device on an older schema come back escaped
+   */
+  async function readRemote()
+  {
+    const area = getSyncArea();
+    const meta = (await area.get(SYNC_KEYS.META))[SYNC_KEYS.META];
+
+    if (!meta) return null;
+
+    if (meta.version > SYNC_FORMAT_VERSION) {
+      throw new Error('Synced data is from a newer version');
+    }
+
+    const keys = Array.from({ length: meta.chunkCount }, (_, i) => `${SYNC_KEYS.CHUNK_PREFIX}${i}`);
+    const items = keys.length > 0 ? await area.get(keys) : {};
+    const json = keys.map(key => (typeof items[key] === 'string' ? items[key] : '')).join('');
+
+    if (json.length !== meta.length) {
+      return { incomplete: true };
+    }
+
+    const data = JSON.parse(json);
+    const groups = Array.isArray(data) ? data : data.groups;
+    const profiles = Array.isArray(data) ? null : data.profiles;
+
+    if (!Array.isArray(groups) || (profiles !== null && !Array.isArray(profiles))) {
+      throw new Error('Synced groups or profiles are not an array');
+    }
+
+    // Older devices read "/api/" as a plain pattern; keep that meaning here
+    const escaped = meta.schemaVersion >= REGEX_LITERAL_SCHEMA_VERSION
+      ? groups
+      : groups.map(group => (group && group.useRegex === true && Array.isArray(group.words)
+        ? { ...group, words: group.words.map(Storage.escapeRegexLiteral) }
+        : group));
+
+    return { groups: escaped, profiles, tombstones: meta.tombstones || {} };
+  }
+
+  /**
+   * Write groups, profiles and tombstones to the sync area, only touching chunks that changed
+   * @param {Array} groups - Group objects
+   * @param {Array} profiles - Profile objects
+   * @param {object} tombstones - Map of group or profile id to deletion time
+   * @returns {Promise<{success: boolean, error?: string}>} error is 'quota' when the data doesn't fit
+   */
+  async function writeRemote(groups, profiles, tombstones)
+  {
+    const area = getSyncArea();
+    const quotas = getQuotas();
+
+    const json = JSON.stringify({ groups, profiles });
+    const chunkKeyBytes = encoder.encode(`${SYNC_KEYS.CHUNK_PREFIX}${MAX_PROFILES * MAX_GROUPS * 100}`).length;
+    const chunks = chunkString(json, quotas.perItem - chunkKeyBytes);
+
+    const meta = {
+      version: SYNC_FORMAT_VERSION,
+      schemaVersion: DEFAULT_SETTINGS.version,
+      chunkCount: chunks.length,
+      length: json.length,
+      tombstones,
+      updatedAt: Date.now()
+    };
+
+    const chunkItems = {};
+    chunks.forEach((chunk, i) =>
+    {
+      chunkItems[`${SYNC_KEYS.CHUNK_PREFIX}${i}`] = chunk;
+    });
+
+    const totalBytes = getItemBytes(SYNC_KEYS.META, meta) +
+      Object.entries(chunkItems).reduce((sum, [key, value]) => sum + getItemBytes(key, value), 0);
+
+    if (totalBytes > quotas.total || getItemBytes(SYNC_KEYS.META, meta) > quotas.perItem) {
+      return { success: false, error: 'quota' };
+    }
+
+    // Skip chunks that are already up to date to save write operations
+    const previousMeta = (await area.get(SYNC_KEYS.META))[SYNC_KEYS.META];
+    const previousCount = previousMeta ? previousMeta.chunkCount : 0;
+    const previousChunks = await area.get(Object.keys(chunkItems));
+    const changedChunks = {};
+    Object.entries(chunkItems).forEach(([key, value]) =>
+    {
+      if (previousChunks[key] !== value) {
+        changedChunks[key] = value;
+      }
+    });
+
+    if (Object.keys(changedChunks).length > 0) {
+      await area.set(changedChunks);
+    }
+    await area.set({ [SYNC_KEYS.META]: meta });
+
+    // Remove chunks left over from a larger previous write
+    const staleKeys = [];
+    for (let i = chunks.length; i < previousCount; i++) {
+      staleKeys.push(`${SYNC_KEYS.CHUNK_PREFIX}${i}`);
+    }
+    if (staleKeys.length > 0) {
+      await area.remove(staleKeys);
+    }
+
+    return { success: true };
+  }
+
+  // ============================================================================
+  // Merging
+  // ============================================================================
+
+  /**
+   * Keep the newest copy of each item (local wins ties) and drop items deleted after their last edit
+   * Items edited after their deletion come back, and their tombstone is removed
+   * @param {Array} localItems - Groups or profiles on this device
+   * @param {Array} remoteItems - Groups or profiles from the sync area
+   * @param {object} tombstones - Merged tombstones (updated in place)
+   * @returns {Array} Surviving items, local order first
+   */
+  function mergeItems(localItems, remoteItems, tombstones)
+  {
+    const byId = new Map();
+    [...localItems, ...remoteItems].forEach(item =>
+    {
+      const current = byId.get(item.id);
+      if (!current || (item.updatedAt || 0) > (current.updatedAt || 0)) {
+        byId.set(item.id, item);
+      }
+    });
+
+    return [...byId.values()].filter(item =>
+    {
+      if (tombstones[item.id] > (item.updatedAt || 0)) return false;
+      delete tombstones[item.id];
+      return true;
+    });
+  }
+
+  /**
+   * Merge two copies of the groups and profiles, resolving conflicts per item by updatedAt
+   * @param {{groups: Array, profiles: Array, tombstones: object}} local - State on this device
+   * @param {{groups: Array, profiles: Array|null, tombstones: object}} remote - State from the sync area
+   *   (profiles is null for data synced before profiles existed)
+   * @param {number} [now] - Current time (ms), for expiring old tombstones
+   * @returns {{groups: Array, profiles: Array, tombstones: object}}
+   */
+  function mergeState(local, remote, now = Date.now())
+  {
+    // Newest deletion time wins
+    const tombstones = { ...local.tombstones };
+    Object.entries(remote.tombstones).forEach(([id, deletedAt]) =>
+    {
+      if (!tombstones[id] || deletedAt > tombstones[id]) {
+        tombstones[id] = deletedAt;
+      }
+    });
+
+    let profiles = mergeItems(local.profiles, remote.profiles || [], tombstones).slice(0, MAX_PROFILES);
+
+    // Each device deleted the other's last profile - keep this device's rather than none
+    if (profiles.length === 0) {
+      profiles = local.profiles;
+      profiles.forEach(profile => delete tombstones[profile.id]);
+    }
+
+    // Groups whose profile was deleted on another device go with it
+    const profileIds = new Set(profiles.map(profile => profile.id));
+    const survivors = mergeItems(local.groups, remote.groups, tombstones)
+      .filter(group => profileIds.has(group.profileId));
+
+    Object.keys(tombstones).forEach(id =>
+    {
+      if (now - tombstones[id] > SYNC_TOMBSTONE_TTL_MS) {
+        delete tombstones[id];
+      }
+    });
+
+    // Keep priority order; ties (e.g. both devices added a group) are broken by id for a stable result
+    survivors.sort((a, b) => (a.order - b.order) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    // Stay within each profile's limits - groups that don't fit stay in the other copy rather than being deleted
+    const groups = [];
+    const counts = new Map();
+    survivors.forEach(group =>
+    {
+      const count = counts.get(group.profileId) || { groups: 0, words: 0 };
+      if (count.groups >= MAX_GROUPS || count.words + group.words.length > MAX_TOTAL_WORDS) {
+        console.warn(`Live Highlighter: Synced group "${group.name}" skipped - limits reached`);
+        return;
+      }
+      groups.push({ ...group, order: count.groups });
+      counts.set(group.profileId, { groups: count.groups + 1, words: count.words + group.words.length });
+    });
+
+    return { groups, profiles, tombstones };
+  }
+
+  /**
+   * Check if two copies of the groups, profiles and tombstones are identical
+   * @param {{groups: Array, profiles: Array|null, tombstones: object}} a
+   * @param {{groups: Array, profiles: Array|null, tombstones: object}} b
+   * @returns {boolean}
+   */
+  function isSameState(a, b)
+  {
+    const isSameList = (itemsA, itemsB) =>
+      itemsA.length === itemsB.length &&
+      itemsA.every((item, i) =>
+        item.id === itemsB[i].id &&
+        (item.updatedAt || 0) === (itemsB[i].updatedAt || 0) &&
+        Storage.isSameGroupContent(item, itemsB[i]));
+
+    if (!a.profiles || !b.profiles) return false;
+    if (!isSameList(a.groups, b.groups) || !isSameList(a.profiles, b.profiles)) return false;
+
+    const idsA = Object.keys(a.tombstones).sort();
+    const idsB = Object.keys(b.tombstones).sort();
+    return JSON.stringify(idsA.map(id => [id, a.tombstones[id]])) ===
+           JSON.stringify(idsB.map(id => [id, b.tombstones[id]]));
+  }
+
+  // ============================================================================
+  // Public Functions
+  // ============================================================================
+
+  /**
+   * Check if sync is turned on
+   * @returns {Promise<boolean>}
+   */
+  async function isSyncEnabled()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_ENABLED);
+      return result[STORAGE_KEYS.SYNC_ENABLED] === true;
+    } catch (error) {
+      console.error('Live Highlighter: Error getting sync state', error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn sync on or off (the service worker runs the first sync when it sees the change)
+   * @param {boolean} enabled - Whether groups should sync
+   * @returns {Promise<boolean>} Success status
+   */
+  async function setSyncEnabled(enabled)
+  {
+    try {
+      if (typeof enabled !== 'boolean') {
+        console.error('Live Highlighter: setSyncEnabled requires a boolean');
+        return false;
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_ENABLED]: enabled });
+      return true;
+    } catch (error) {
+      console.error('Live Highlighter: Error setting sync state', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the result of the last sync
+   * @returns {Promise<object|null>} { lastSyncAt, error } or null if never synced
+   */
+  async function getSyncStatus()
+  {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_STATUS);
+      return result[STORAGE_KEYS.SYNC_STATUS] || null;
+    } catch (error) {
+      console.error('Live Highlighter: Error getting sync status', error);
+      return null;
+    }
+  }
+
+  /**
+   * Merge local and synced groups and profiles, then update whichever side is out of date
+   * @returns {Promise<{success: boolean, error?: string}>} error is 'quota', 'incomplete' or 'failed'
+   */
+  async function runSync()
+  {
+    if (!await isSyncEnabled()) {
+      return { success: true };
+    }
+
+    let result;
+    try {
+      const local = {
+        groups: await Storage.getGroups(),
+        profiles: await Storage.getProfiles(),
+        tombstones: await Storage.getGroupTombstones()
+      };
+      const remote = await readRemote();
+
+      if (remote && remote.incomplete) {
+        // Another device is mid-write; its final syncMeta write will trigger another run
+        return { success: false, error: 'incomplete' };
+      }
+
+      const merged = remote ? mergeState(local, remote) : local;
+
+      if (!isSameState(merged, local)) {
+        const saved = await Storage.saveGroups(merged.groups, {
+          profiles: merged.profiles,
+          tombstones: merged.tombstones
+        });
+        if (!saved) {
+          throw new Error('Merged groups failed validation');
+        }
+      }
+
+      result = { success: true };
+      if (!remote || !isSameState(merged, remote)) {
+        result = await writeRemote(merged.groups, merged.profiles, merged.tombstones);
+      }
+    } catch (error) {
+      console.error('Live Highlighter: Sync failed', error);
+      result = { success: false, error: 'failed' };
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SYNC_STATUS]: { lastSyncAt: Date.now(), error: result.error || null }
+    });
+
+    return result;
+  }
+
+  /**
+   * Run a sync (queued behind any sync already in progress)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  function syncNow()
+  {
+    syncQueue = syncQueue.then(runSync, runSync);
+    return syncQueue;
+  }
+
+  /**
+   * Check if a storage change in the sync area touches synced groups or profiles
+   * @param {object} changes - Changes from chrome.storage.onChanged
+   * @returns {boolean}
+   */
+  function isSyncChange(changes)
+  {
+    return Object.keys(changes).some(key =>
+      key === SYNC_KEYS.META || key.startsWith(SYNC_KEYS.CHUNK_PREFIX));
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    isSyncEnabled,
+    setSyncEnabled,
+    getSyncStatus,
+    syncNow,
+    isSyncChange,
+    mergeState,
+    chunkString,
+    setSyncArea
+  };
+})();
+
+console.log('Live Highlighter: Sync module loaded');
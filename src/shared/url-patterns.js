@@ -0,0 +1,183 @@
+// Live Highlighter - URL Pattern Matching (per-group page scope)
+
+/**
+ * Supported pattern syntax:
+ *   <all_urls>                  Every page
+ *   *://*.example.com/*         Match pattern (scheme://host/path) - "*" scheme is http or https,
+ *                               "*.host" also matches the bare host, path "*" matches anything
+ *   http://localhost:8080/*     A host may name a port ("*" for any); without one, any port matches
+ *   *jira*, portal.azure.com    Glob (* = any characters, ? = one character), case-insensitive,
+ *                               matched against the full URL or the page's hostname
+ */
+
+// Extend LiveHighlighter namespace with URL pattern functions
+LiveHighlighter.UrlPatterns = (function ()
+{
+  'use strict';
+
+  // Maximum length of a single pattern
+  const MAX_PATTERN_LENGTH = 200;
+
+  // scheme://host[:port]/path (host may be empty for file:// URLs, and an [IPv6] address)
+  const MATCH_PATTERN_REGEX =
+    /^(\*|https?|wss?|ftp|file):\/\/(\*|\*\.[^/*:[\]]+|\[[0-9a-fA-F:.]+\]|[^/*:[\]]*)(?::(\d{1,5}|\*))?(\/.*)$/;
+
+  // Port a URL uses when it doesn't name one
+  const DEFAULT_PORTS = { http: '80', https: '443', ws: '80', wss: '443', ftp: '21' };
+
+  // Compiled pattern cache: Map<pattern, function(URL, string): boolean | null>
+  const compiledPatterns = new Map();
+
+  // ============================================================================
+  // Compilation
+  // ============================================================================
+
+  /**
+   * Convert a wildcard string to an anchored, case-insensitive RegExp
+   * @param {string} text - Text containing "*" (and optionally "?") wildcards
+   * @param {boolean} singleCharWildcard - Whether "?" matches one character
+   * @returns {RegExp}
+   */
+  function wildcardToRegExp(text, singleCharWildcard)
+  {
+    const special = singleCharWildcard ? /[.+^${}()|[\]\\]/g : /[.+?^${}()|[\]\\]/g;
+    let source = text.replace(special, '\\$&').replace(/\*/g, '.*');
+    if (singleCharWildcard) {
+      source = source.replace(/\?/g, '.');
+    }
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Compile a pattern into a matcher function
+   * @param {string} pattern - Match pattern or glob
+   * @returns {function(URL, string): boolean|null} Matcher, or null if the pattern is invalid
+   */
+  function compilePattern(pattern)
+  {
+    if (typeof pattern !== 'string') return null;
+
+    const trimmed = pattern.trim();
+    if (trimmed.length === 0 || trimmed.length > MAX_PATTERN_LENGTH) return null;
+
+    if (trimmed === '<all_urls>') {
+      return () => true;
+    }
+
+    // Anything with a scheme separator must be a well-formed match pattern
+    if (trimmed.includes('://')) {
+      const parts = MATCH_PATTERN_REGEX.exec(trimmed);
+      if (!parts) return null;
+
+      const [, scheme, host, port, path] = parts;
+      if ((scheme === 'file') !== (host === '')) return null;
+      if (port !== undefined && (host === '' || (port !== '*' && Number(port) > 65535))) return null;
+
+      const pathRegex = wildcardToRegExp(path, false);
+      const hostLower = host.toLowerCase();
+
+      return (url) =>
+      {
+        const protocol = url.protocol.slice(0, -1);
+        if (scheme === '*' ? (protocol !== 'http' && protocol !== 'https') : protocol !== scheme) {
+          return false;
+        }
+
+        const hostname = url.hostname.toLowerCase();
+        if (hostLower.startsWith('*.')) {
+          const baseHost = hostLower.slice(2);
+          if (hostname !== baseHost && !hostname.endsWith(`.${baseHost}`)) return false;
+        } else if (hostLower !== '*' && hostname !== hostLower) {
+          return false;
+        }
+
+        if (port !== undefined && port !== '*' && String(Number(port)) !== (url.port || DEFAULT_PORTS[protocol])) {
+          return false;
+        }
+
+        return pathRegex.test(url.pathname + url.search);
+      };
+    }
+
+    // Plain glob against the full URL or the hostname
+    const globRegex = wildcardToRegExp(trimmed, true);
+    return (url, href) => globRegex.test(href) || globRegex.test(url.hostname);
+  }
+
+  /**
+   * Get a compiled matcher from the cache, compiling on first use
+   * @param {string} pattern
+   * @returns {function|null}
+   */
+  function getMatcher(pattern)
+  {
+    if (!compiledPatterns.has(pattern)) {
+      compiledPatterns.set(pattern, compilePattern(pattern));
+    }
+    return compiledPatterns.get(pattern);
+  }
+
+  // ============================================================================
+  // Public Functions
+  // ============================================================================
+
+  /**
+   * Validate a URL pattern
+   * @param {string} pattern - Match pattern or glob
+   * @returns {boolean}
+   */
+  function isValidPattern(pattern)
+  {
+    return getMatcher(pattern) !== null;
+  }
+
+  /**
+   * Check if a URL matches a pattern (invalid patterns never match)
+   * @param {string} pattern - Match pattern or glob
+   * @param {string} url - Full page URL
+   * @returns {boolean}
+   */
+  function matchesUrl(pattern, url)
+  {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    const matcher = getMatcher(pattern);
+    return matcher ? matcher(parsed, url) : false;
+  }
+
+  /**
+   * Check if a group applies to a URL
+   * Exclude patterns win; an empty include list means "every page"
+   * @param {object} group - Group object with optional includeUrls/excludeUrls arrays
+   * @param {string} url - Full page URL
+   * @returns {boolean}
+   */
+  function isGroupInScope(group, url)
+  {
+    const includeUrls = group.includeUrls || [];
+    const excludeUrls = group.excludeUrls || [];
+
+    if (excludeUrls.some(pattern => matchesUrl(pattern, url))) {
+      return false;
+    }
+
+    return includeUrls.length === 0 || includeUrls.some(pattern => matchesUrl(pattern, url));
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return {
+    isValidPattern,
+    matchesUrl,
+    isGroupInScope
+  };
+})();
+
+console.log('Live Highlighter: URL patterns module loaded');